@@ -0,0 +1,173 @@
+/**
+ * Holds the information of a Change Data Capture event in a structured form.
+ * The change header is exposed as properties and the values of the fields that changed are indexed by field path.
+ * Compound fields are resolved into paths such as `Name.FirstName`.
+ * @alias ChangeEvent
+ * @global
+ */
+export default class ChangeEvent {
+    /**
+     * API name of the entity that changed (e.g. Account).
+     * @type {string}
+     * @public
+     */
+    entityName;
+
+    /**
+     * Type of change: CREATE, UPDATE, DELETE, UNDELETE or a GAP_ or GAP_OVERFLOW type.
+     * @type {string}
+     * @public
+     */
+    changeType;
+
+    /**
+     * Origin of the change (e.g. the client ID of the API client that made it).
+     * @type {string}
+     * @public
+     */
+    changeOrigin;
+
+    /**
+     * IDs of the records that changed.
+     * @type {string[]}
+     * @public
+     */
+    recordIds;
+
+    /**
+     * Date when the change was committed in epoch milliseconds.
+     * @type {number}
+     * @public
+     */
+    commitTimestamp;
+
+    /**
+     * System change number of the transaction.
+     * @type {number}
+     * @public
+     */
+    commitNumber;
+
+    /**
+     * ID of the user who committed the change.
+     * @type {string}
+     * @public
+     */
+    commitUser;
+
+    /**
+     * Unique key of the transaction that holds the change.
+     * @type {string}
+     * @public
+     */
+    transactionKey;
+
+    /**
+     * Sequence of the change within the transaction.
+     * @type {number}
+     * @public
+     */
+    sequenceNumber;
+
+    /**
+     * Paths of the fields that changed.
+     * @type {string[]}
+     * @public
+     */
+    changedFields;
+
+    /**
+     * Paths of the fields that were set to null.
+     * @type {string[]}
+     * @public
+     */
+    nulledFields;
+
+    /**
+     * Paths of the large text fields whose value is sent as a diff rather than as the new value.
+     * @type {string[]}
+     * @public
+     */
+    diffFields;
+
+    /**
+     * New values of the fields that changed indexed by field path. Nulled fields hold an explicit null.
+     * Create and undelete events hold all populated fields.
+     * @type {Object<string,any>}
+     * @public
+     */
+    fields;
+
+    /**
+     * Current state of the records of a gap event in the order of `recordIds` when the `resolveGaps`
+     * subscription option is set. Records that no longer exist are null. Undefined for other events.
+     * @type {Object[]}
+     * @public
+     */
+    records;
+
+    /**
+     * Builds a new ChangeEvent.
+     * @param {Object} header parsed ChangeEventHeader of the event
+     * @param {Object<string,any>} fields new values of the fields that changed indexed by field path
+     * @protected
+     */
+    constructor(header, fields) {
+        this.entityName = header.entityName;
+        this.changeType = header.changeType;
+        this.changeOrigin = header.changeOrigin;
+        this.recordIds = header.recordIds;
+        this.commitTimestamp = header.commitTimestamp;
+        this.commitNumber = header.commitNumber;
+        this.commitUser = header.commitUser;
+        this.transactionKey = header.transactionKey;
+        this.sequenceNumber = header.sequenceNumber;
+        this.changedFields = header.changedFields;
+        this.nulledFields = header.nulledFields;
+        this.diffFields = header.diffFields;
+        this.fields = fields;
+    }
+
+    /**
+     * Checks whether a field changed. A compound field is considered changed when one of its child fields changed.
+     * @param {string} fieldPath path of the field (e.g. `Phone`, `Name` or `Name.FirstName`)
+     * @returns {boolean} true if the field changed
+     */
+    isChanged(fieldPath) {
+        return Object.keys(this.fields).some(
+            (path) => path === fieldPath || path.startsWith(`${fieldPath}.`)
+        );
+    }
+
+    /**
+     * Checks whether this is a gap event (`GAP_*` or `GAP_OVERFLOW` change types).
+     * Gap events don't hold field values so the records must be queried to retrieve their current state.
+     * @returns {boolean} true if this is a gap event
+     */
+    isGap() {
+        return this.changeType?.startsWith('GAP_') === true;
+    }
+
+    /**
+     * Applies the changes to a copy of a record.
+     * Fields listed in `diffFields` are left unchanged since their value is a diff and not the new value.
+     * @param {Object} record state of the record before the change
+     * @returns {Object} state of the record after the change
+     */
+    applyTo(record) {
+        const after = { ...record };
+        Object.entries(this.fields).forEach(([path, value]) => {
+            if (this.diffFields.includes(path)) {
+                return;
+            }
+            const keys = path.split('.');
+            let target = after;
+            keys.slice(0, -1).forEach((key) => {
+                target[key] = { ...target[key] };
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = value;
+        });
+        return after;
+    }
+}
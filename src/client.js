@@ -2,33 +2,186 @@ import crypto from 'crypto';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 
-import avro from 'avro-js';
 import certifi from 'certifi';
 import grpc from '@grpc/grpc-js';
 import protoLoader from '@grpc/proto-loader';
 
 import EventParseError from './eventParseError.js';
 import PubSubEventEmitter from './pubSubEventEmitter.js';
+import PubSubPublishStream from './pubSubPublishStream.js';
+import TransactionBuffer from './transactionBuffer.js';
 import Configuration from './utils/configuration.js';
 import {
     parseEvent,
     encodeReplayId,
-    decodeReplayId
+    decodeReplayId,
+    encodeEventHeaders,
+    parsePublishResult
 } from './utils/eventParser.js';
 import SalesforceAuth from './utils/auth.js';
+import GapResolver from './utils/gapResolver.js';
+import { createEventPredicate } from './utils/eventFilter.js';
+import {
+    parseAvroSchema,
+    validateAvroPayload,
+    wrapUnionValues,
+    encodePayload
+} from './utils/avroHelper.js';
+
+export { default as PublishError } from './publishError.js';
+export { default as PayloadValidationError } from './payloadValidationError.js';
+export { default as ChangeEvent } from './changeEvent.js';
+export { default as EventRouter } from './eventRouter.js';
+export { default as FileDeadLetterSink } from './fileDeadLetterSink.js';
+export { default as TopicDeadLetterSink } from './topicDeadLetterSink.js';
+export { default as InMemoryReplayStore } from './inMemoryReplayStore.js';
+export { default as FileReplayStore } from './fileReplayStore.js';
+export { default as MockPubSubServer } from './mockPubSubServer.js';
+export { default as PubSubClientPool } from './pubSubClientPool.js';
 
 /**
  * @typedef {Object} PublishResult
- * @property {number} replayId
+ * @property {number} replayId replay ID of the published event. Undefined if the event failed to publish.
  * @property {string} correlationKey
+ * @property {PublishError} [error] error reported by the Pub/Sub API if the event failed to publish
+ * @global
+ */
+
+/**
+ * @typedef {Object} SubscribeOptions
+ * @property {boolean} [infinite] when true, the client keeps the subscription topped up indefinitely by requesting
+ * batches of `numRequested` events whenever the number of pending events drops to the low-water mark.
+ * @property {number} [lowWaterMark] number of pending events at or below which a new batch is requested in infinite mode.
+ * Defaults to half of `numRequested`.
+ * @property {boolean|ReconnectOptions} [reconnect] when set, the client automatically resumes the subscription
+ * after the last received replay ID if the gRPC stream fails or ends before all requested events are received.
+ * @property {ReplayStore} [replayStore] store that holds the last processed replay ID of the topic. When it holds a value,
+ * the subscription resumes after that replay ID. Replay IDs are stored once events are processed by the handler.
+ * @property {EventHandler} [handler] optional event handler. Events are only considered processed once the handler resolves.
+ * Without a handler, events are considered processed once the 'data' listeners return.
+ * @property {boolean} [ordered] when true, events are processed one at a time in replay order. The handler is awaited
+ * for each event before the next one is processed and the event is only emitted and counted as received once handled.
+ * @property {boolean|TransactionOptions} [transactions] when set, Change Data Capture events are also buffered by transaction key
+ * and the emitter emits a 'transaction' event with each reassembled transaction.
+ * @property {boolean} [resolveGaps] when true, the current state of the records of Change Data Capture gap events
+ * is retrieved with the REST API and attached to the `records` property of their ChangeEvent before they are emitted.
+ * @property {EventPredicate|EventFilter} [filter] predicate function or declarative filter that events must match to be delivered.
+ * Other events are emitted as 'filtered' events and are counted as received without being passed to the handler.
+ * @property {DeadLetterOptions} [deadLetter] when set, events that fail to parse or to be handled are retried
+ * then, sent to a dead-letter sink and emitted as 'deadletter' events instead of 'error' events.
+ * @global
+ */
+
+/**
+ * @callback EventHandler
+ * @param {Object} event parsed event
+ * @returns {Promise<void>|void} Promise that resolves once the event is processed
+ * @global
+ */
+
+/**
+ * @typedef {Object} ReplayStore
+ * @property {function(string):Promise<number>} get retrieves the last processed replay ID for a topic name
+ * (resolves with undefined if none was stored)
+ * @property {function(string,number):Promise<void>} set stores the last processed replay ID for a topic name
+ * @global
+ */
+
+/**
+ * @typedef {Object} ReconnectOptions
+ * @property {number} [maxRetries] maximum number of consecutive reconnection attempts. Defaults to 10.
+ * @property {number} [initialDelay] delay in milliseconds before the first reconnection attempt. Defaults to 1000.
+ * @property {number} [maxDelay] maximum delay in milliseconds between reconnection attempts. Defaults to 60000.
+ * @global
+ */
+
+/**
+ * @typedef {Object} DeadLetterOptions
+ * @property {DeadLetterSink|function(DeadLetter):Promise<void>} sink sink or callback that receives dead-lettered events
+ * @property {RetryOptions} [retry] retry policy applied to each event before it's dead-lettered
+ * @global
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [maxRetries] maximum number of retries before an event is dead-lettered. Defaults to 3.
+ * @property {number} [initialDelay] delay in milliseconds before the first retry. Defaults to 1000.
+ * @property {number} [maxDelay] maximum delay in milliseconds between retries. Defaults to 30000.
+ * @global
+ */
+
+/**
+ * @typedef {Object} DeadLetterSink
+ * @property {function(DeadLetter):Promise<void>} write stores or forwards a dead-lettered event
+ * @global
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {string} topicName name of the topic of the subscription
+ * @property {number} replayId replay ID of the event. Undefined if it can't be decoded.
+ * @property {string} schemaId ID of the schema of the event
+ * @property {Object} event raw ConsumerEvent received from the Pub/Sub API
+ * @property {string} reason `parse` if the event failed to parse or `handler` if the subscription handler failed
+ * @property {number} attempts number of attempts made before dead-lettering the event
+ * @property {Error} error error of the last attempt
+ * @global
+ */
+
+/**
+ * @typedef {Object} TransactionOptions
+ * @property {number} [timeout] time in milliseconds after which a transaction that receives no event is emitted as incomplete.
+ * Defaults to 5000.
+ * @global
+ */
+
+/**
+ * @typedef {Object} SubscriptionContext
+ * @property {number} batchSize number of events requested by the initial subscription request
+ * @property {boolean} isInfinite whether the subscription is kept topped up indefinitely
+ * @property {number} lowWaterMark number of pending events at or below which a new batch is requested
+ * @property {ReconnectOptions|null} reconnect reconnection options or null if reconnection is disabled
+ * @property {number} reconnectAttempt number of consecutive reconnection attempts
+ * @property {number} receivedEventCount number of events received from the gRPC streams, including events that are still being processed
+ * @property {number} [lastReceivedReplayId] replay ID of the last event received from the gRPC streams
+ * @property {object} initialRequest initial subscription request
+ * @property {ReplayStore} [replayStore] store that holds the last processed replay ID of the topic
+ * @property {EventHandler} [handler] event handler
+ * @property {Object[]} checkpoints replay IDs of received events in replay order with their processing status
+ * @property {Promise<void>} pendingCommit Promise that resolves once the latest replay ID is stored
+ * @property {boolean} isOrdered whether events are processed one at a time in replay order
+ * @property {Promise<void>} deliveryQueue Promise that resolves once the last queued event is processed in ordered mode
+ * @property {TransactionBuffer} [transactionBuffer] buffer that reassembles Change Data Capture transactions
+ * @property {boolean} resolveGaps whether the records of Change Data Capture gap events are retrieved
+ * @property {EventPredicate} [filter] predicate that events must match to be delivered
+ * @property {{sink: DeadLetterSink, retry: RetryOptions}|null} deadLetter dead-letter sink and retry policy or null if dead-lettering is disabled
+ * @private
+ */
+
+/**
+ * @typedef {Object} TopicInfo
+ * @property {string} topicName name of the topic
+ * @property {string} tenantGuid tenant/org GUID
+ * @property {boolean} canPublish whether the Salesforce user is allowed to publish events to the topic
+ * @property {boolean} canSubscribe whether the Salesforce user is allowed to subscribe to the topic
+ * @property {string} schemaId ID of the current topic schema
+ * @property {string} rpcId RPC ID used to trace errors
  * @global
  */
 
 /**
  * @typedef {Object} Schema
- * @property {string} id
- * @property {Object} type
- * @protected
+ * @property {string} id schema ID (fingerprint of the schema)
+ * @property {Object} type parsed Avro type
+ * @property {string} schemaJson raw Avro schema in JSON format
+ * @global
+ */
+
+/**
+ * @typedef {Object} TopicCacheEntry
+ * @property {TopicInfo} topicInfo topic information, including the ID of the current topic schema
+ * @property {number} expiresAt time in milliseconds after which the entry must be fetched again
+ * @private
  */
 
 /**
@@ -40,37 +193,177 @@ import SalesforceAuth from './utils/auth.js';
  */
 
 /**
- * Custom Long Avro type used for deserializing large numbers with BitInt.
- * This fixes a deserialization bug with Avro not supporting large values.
+ * @callback AuthRefreshCallback
+ * @returns {Promise<string>} Promise holding a new Salesforce access token
+ * @global
+ */
+
+/**
+ * Error code that the Pub/Sub API reports when the access token is invalid or expired.
  * @private
  */
-const CUSTOM_LONG_AVRO_TYPE = avro.types.LongType.using({
-    fromBuffer: (buf) => {
-        const big = buf.readBigInt64LE();
-        if (big < Number.MIN_SAFE_INTEGER || big > Number.MAX_SAFE_INTEGER) {
-            return big;
-        }
-        return Number(BigInt.asIntN(64, big));
-    },
-    toBuffer: (n) => {
-        const buf = Buffer.allocUnsafe(8);
-        if (n instanceof BigInt) {
-            buf.writeBigInt64LE(n);
-        } else {
-            buf.writeBigInt64LE(BigInt(n));
+const AUTH_ERROR_CODE = 'sfdc.platform.eventbus.grpc.service.auth.error';
+
+/**
+ * Checks whether a gRPC error is caused by an invalid or expired access token.
+ * @param {Object} error gRPC error
+ * @returns {boolean} true if the error is an authentication error
+ * @private
+ */
+function isAuthError(error) {
+    if (!error) {
+        return false;
+    }
+    if (error.code === grpc.status.UNAUTHENTICATED) {
+        return true;
+    }
+    const errorCodes = error.metadata?.get?.('error-code') ?? [];
+    return errorCodes.some((code) => String(code) === AUTH_ERROR_CODE);
+}
+
+/**
+ * Default settings for subscription reconnection.
+ * @private
+ */
+const DEFAULT_RECONNECT_OPTIONS = {
+    maxRetries: 10,
+    initialDelay: 1000,
+    maxDelay: 60000
+};
+
+/**
+ * Merges user-supplied reconnection settings with defaults.
+ * @param {boolean|ReconnectOptions} [reconnect] user-supplied reconnection settings
+ * @returns {ReconnectOptions|null} reconnection options or null if reconnection is disabled
+ * @private
+ */
+function getReconnectOptions(reconnect) {
+    if (!reconnect) {
+        return null;
+    }
+    return reconnect === true
+        ? { ...DEFAULT_RECONNECT_OPTIONS }
+        : { ...DEFAULT_RECONNECT_OPTIONS, ...reconnect };
+}
+
+/**
+ * Default settings for Change Data Capture transaction reassembly.
+ * @private
+ */
+const DEFAULT_TRANSACTION_OPTIONS = {
+    timeout: 5000
+};
+
+/**
+ * Merges user-supplied transaction reassembly settings with defaults.
+ * @param {boolean|TransactionOptions} [transactions] user-supplied transaction reassembly settings
+ * @returns {TransactionOptions|null} transaction options or null if transaction reassembly is disabled
+ * @private
+ */
+function getTransactionOptions(transactions) {
+    if (!transactions) {
+        return null;
+    }
+    return transactions === true
+        ? { ...DEFAULT_TRANSACTION_OPTIONS }
+        : { ...DEFAULT_TRANSACTION_OPTIONS, ...transactions };
+}
+
+/**
+ * Checks whether a value looks like a logger
+ * @param {any} value value to check
+ * @returns {boolean} true if the value has `info` and `error` functions
+ * @private
+ */
+function isLogger(value) {
+    return (
+        typeof value?.info === 'function' && typeof value?.error === 'function'
+    );
+}
+
+/**
+ * Default retry policy applied to events before they are dead-lettered.
+ * @private
+ */
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    initialDelay: 1000,
+    maxDelay: 30000
+};
+
+/**
+ * Outcomes of passing an event to the subscription handler.
+ * @private
+ */
+const HANDLER_OUTCOMES = {
+    HANDLED: 'handled',
+    DEAD_LETTERED: 'deadlettered',
+    FAILED: 'failed'
+};
+
+/**
+ * Validates user-supplied dead-letter settings and merges the retry policy with defaults.
+ * @param {DeadLetterOptions} [deadLetter] user-supplied dead-letter settings
+ * @returns {{sink: DeadLetterSink, retry: RetryOptions}|null} dead-letter settings or null if dead-lettering is disabled
+ * @private
+ */
+function getDeadLetterOptions(deadLetter) {
+    if (!deadLetter) {
+        return null;
+    }
+    const { sink, retry } = deadLetter;
+    if (typeof sink === 'function') {
+        return {
+            sink: { write: sink },
+            retry: { ...DEFAULT_RETRY_OPTIONS, ...retry }
+        };
+    }
+    if (typeof sink?.write !== 'function') {
+        throw new Error(
+            'Invalid dead-letter sink: expected a function or an object with a write function'
+        );
+    }
+    return { sink, retry: { ...DEFAULT_RETRY_OPTIONS, ...retry } };
+}
+
+/**
+ * Runs an operation and retries it with exponential backoff when it fails.
+ * @param {RetryOptions} [retry] retry policy. The operation is attempted once if no policy is supplied.
+ * @param {function(): Promise<any>} operation operation to run
+ * @returns {Promise<any>} Promise holding the result of the first successful attempt
+ * @throws the error of the last attempt
+ * @private
+ */
+async function retryWithBackoff(retry, operation) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!retry || attempt > retry.maxRetries) {
+                throw error;
+            }
+            await new Promise((resolve) =>
+                setTimeout(resolve, getBackoffDelay(attempt, retry))
+            );
         }
-        return buf;
-    },
-    fromJSON: BigInt,
-    toJSON: Number,
-    isValid: (n) => {
-        const type = typeof n;
-        return (type === 'number' && n % 1 === 0) || type === 'bigint';
-    },
-    compare: (n1, n2) => {
-        return n1 === n2 ? 0 : n1 < n2 ? -1 : 1;
     }
-});
+}
+
+/**
+ * Computes an exponential backoff delay with jitter for a reconnection attempt.
+ * The delay is randomized between half and the full value of the exponential backoff.
+ * @param {number} attempt reconnection attempt number (starts at 1)
+ * @param {ReconnectOptions} reconnect reconnection options
+ * @returns {number} delay in milliseconds
+ * @private
+ */
+function getBackoffDelay(attempt, reconnect) {
+    const backoff = Math.min(
+        reconnect.maxDelay,
+        reconnect.initialDelay * 2 ** (attempt - 1)
+    );
+    return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
 
 /**
  * Client for the Salesforce Pub/Sub API
@@ -85,23 +378,89 @@ export default class PubSubApiClient {
     #client;
 
     /**
-     * Map of schemas indexed by topic name
+     * Map of schemas indexed by schema ID.
+     * Schema IDs are fingerprints of the schemas so entries never go stale.
      * @type {Map<string,Schema>}
      */
-    #schemaChache;
+    #schemaCache;
+
+    /**
+     * Map of topic information (including the ID of the current topic schema) indexed by topic name
+     * @type {Map<string,TopicCacheEntry>}
+     */
+    #topicInfoCache;
 
     #logger;
 
     /**
-     * Builds a new Pub/Sub API client
-     * @param {Logger} logger an optional custom logger. The client uses the console if no value is supplied.
+     * Client configuration
+     * @type {Configuration}
+     */
+    #configuration;
+
+    /**
+     * Connection metadata used to authenticate gRPC calls
+     * @type {import('./utils/auth.js').ConnectionMetadata}
+     */
+    #conMetadata;
+
+    /**
+     * Optional callback that supplies a new access token in user-supplied authentication mode
+     * @type {AuthRefreshCallback}
      */
-    constructor(logger = console) {
+    #authRefreshCallback;
+
+    /**
+     * Promise that resolves once the access token refresh in progress completes
+     * @type {Promise<void>}
+     */
+    #pendingAuthRefresh;
+
+    /**
+     * Emitters of the subscriptions that are currently active
+     * @type {Set<PubSubEventEmitter>}
+     */
+    #subscriptions;
+
+    /**
+     * Publish streams that may still be open
+     * @type {Set<PubSubPublishStream>}
+     */
+    #publishStreams;
+
+    /**
+     * Whether the client was closed by the user
+     * @type {boolean}
+     */
+    #isClosed;
+
+    /**
+     * Retrieves the records of Change Data Capture gap events. Created on first use.
+     * @type {GapResolver}
+     */
+    #gapResolver;
+
+    /**
+     * Builds a new Pub/Sub API client.
+     * The legacy `new PubSubApiClient(logger)` signature is still supported.
+     * @param {ClientConfiguration|Logger} [config] optional client configuration. Keys that are not supplied are read from environment variables.
+     * @param {Logger} [logger] an optional custom logger. The client uses the console if no value is supplied.
+     */
+    constructor(config = {}, logger = console) {
+        // Support the legacy signature that only takes a logger
+        if (isLogger(config)) {
+            logger = config;
+            config = {};
+        }
         this.#logger = logger;
-        this.#schemaChache = new Map();
+        this.#schemaCache = new Map();
+        this.#topicInfoCache = new Map();
+        this.#subscriptions = new Set();
+        this.#publishStreams = new Set();
+        this.#isClosed = false;
         // Check and load config
         try {
-            Configuration.load();
+            this.#configuration = new Configuration(config);
         } catch (error) {
             this.#logger.error(error);
             throw new Error('Failed to initialize Pub/Sub API client', {
@@ -116,7 +475,7 @@ export default class PubSubApiClient {
      * @memberof PubSubApiClient.prototype
      */
     async connect() {
-        if (Configuration.isUserSuppliedAuth()) {
+        if (this.#configuration.isUserSuppliedAuth()) {
             throw new Error(
                 'You selected user-supplied authentication mode so you cannot use the "connect()" method. Use "connectWithAuth(...)" instead.'
             );
@@ -125,7 +484,9 @@ export default class PubSubApiClient {
         // Connect to Salesforce to obtain an access token
         let conMetadata;
         try {
-            conMetadata = await SalesforceAuth.authenticate();
+            conMetadata = await SalesforceAuth.authenticate(
+                this.#configuration
+            );
             this.#logger.info(
                 `Connected to Salesforce org ${conMetadata.instanceUrl} as ${conMetadata.username}`
             );
@@ -142,10 +503,16 @@ export default class PubSubApiClient {
      * @param {string} accessToken Salesforce access token
      * @param {string} instanceUrl Salesforce instance URL
      * @param {string} [organizationId] optional organization ID. If you don't provide one, we'll attempt to parse it from the accessToken.
+     * @param {AuthRefreshCallback} [authRefreshCallback] optional callback that supplies a new access token when the current one expires.
      * @returns {Promise<void>} Promise that resolves once the connection is established
      * @memberof PubSubApiClient.prototype
      */
-    async connectWithAuth(accessToken, instanceUrl, organizationId) {
+    async connectWithAuth(
+        accessToken,
+        instanceUrl,
+        organizationId,
+        authRefreshCallback
+    ) {
         if (!instanceUrl || !instanceUrl.startsWith('https://')) {
             throw new Error(
                 `Invalid Salesforce Instance URL format supplied: ${instanceUrl}`
@@ -172,6 +539,7 @@ export default class PubSubApiClient {
                 `Invalid Salesforce Org ID format supplied: ${validOrganizationId}`
             );
         }
+        this.#authRefreshCallback = authRefreshCallback;
         return this.#connectToPubSubApi({
             accessToken,
             instanceUrl,
@@ -187,9 +555,6 @@ export default class PubSubApiClient {
     async #connectToPubSubApi(conMetadata) {
         // Connect to Pub/Sub API
         try {
-            // Read certificates
-            const rootCert = fs.readFileSync(certifi);
-
             // Load proto definition
             const protoFilePath = fileURLToPath(
                 new URL('../pubsub_api.proto', import.meta.url)
@@ -199,27 +564,63 @@ export default class PubSubApiClient {
             const sfdcPackage = grpcObj.eventbus.v1;
 
             // Prepare gRPC connection
-            const metaCallback = (_params, callback) => {
+            // Metadata is read for every call so that refreshed access tokens are picked up
+            this.#conMetadata = conMetadata;
+            const buildAuthMetadata = () => {
                 const meta = new grpc.Metadata();
-                meta.add('accesstoken', conMetadata.accessToken);
-                meta.add('instanceurl', conMetadata.instanceUrl);
-                meta.add('tenantid', conMetadata.organizationId);
-                callback(null, meta);
+                meta.add('accesstoken', this.#conMetadata.accessToken);
+                meta.add('instanceurl', this.#conMetadata.instanceUrl);
+                meta.add('tenantid', this.#conMetadata.organizationId);
+                return meta;
             };
-            const callCreds =
-                grpc.credentials.createFromMetadataGenerator(metaCallback);
-            const combCreds = grpc.credentials.combineChannelCredentials(
-                grpc.credentials.createSsl(rootCert),
-                callCreds
-            );
+            let channelCreds;
+            const clientOptions = {
+                ...this.#configuration.getChannelOptions()
+            };
+            if (this.#configuration.isPubSubInsecure()) {
+                // Call credentials require TLS so auth metadata is added by an interceptor on plaintext channels
+                channelCreds = grpc.credentials.createInsecure();
+                clientOptions.interceptors = [
+                    (options, nextCall) =>
+                        new grpc.InterceptingCall(nextCall(options), {
+                            start: (metadata, listener, next) => {
+                                metadata.merge(buildAuthMetadata());
+                                next(metadata, listener);
+                            }
+                        })
+                ];
+                this.#logger.info(
+                    'Using an insecure connection to the Pub/Sub API'
+                );
+            } else {
+                const metaCallback = (_params, callback) => {
+                    callback(null, buildAuthMetadata());
+                };
+                const callCreds =
+                    grpc.credentials.createFromMetadataGenerator(metaCallback);
+                const rootCert = this.#configuration.getPubSubRootCert();
+                const clientCert = this.#configuration.getPubSubClientCert();
+                const clientKey = this.#configuration.getPubSubClientKey();
+                const sslCreds = grpc.credentials.createSsl(
+                    rootCert ? Buffer.from(rootCert) : fs.readFileSync(certifi),
+                    clientKey ? Buffer.from(clientKey) : null,
+                    clientCert ? Buffer.from(clientCert) : null
+                );
+                channelCreds = grpc.credentials.combineChannelCredentials(
+                    sslCreds,
+                    callCreds
+                );
+            }
 
             // Return pub/sub gRPC client
             this.#client = new sfdcPackage.PubSub(
-                Configuration.getPubSubEndpoint(),
-                combCreds
+                this.#configuration.getPubSubEndpoint(),
+                channelCreds,
+                clientOptions
             );
+            this.#isClosed = false;
             this.#logger.info(
-                `Connected to Pub/Sub API endpoint ${Configuration.getPubSubEndpoint()}`
+                `Connected to Pub/Sub API endpoint ${this.#configuration.getPubSubEndpoint()}`
             );
         } catch (error) {
             throw new Error('Failed to connect to Pub/Sub API', {
@@ -232,15 +633,23 @@ export default class PubSubApiClient {
      * Subscribes to a topic and retrieves all past events in retention window.
      * @param {string} topicName name of the topic that we're subscribing to
      * @param {number} numRequested number of events requested
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
      * @returns {Promise<EventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
      * @memberof PubSubApiClient.prototype
      */
-    async subscribeFromEarliestEvent(topicName, numRequested) {
-        return this.#subscribe({
-            topicName,
-            numRequested,
-            replayPreset: 1
-        });
+    async subscribeFromEarliestEvent(
+        topicName,
+        numRequested,
+        subscribeOptions
+    ) {
+        return this.#subscribe(
+            {
+                topicName,
+                numRequested,
+                replayPreset: 1
+            },
+            subscribeOptions
+        );
     }
 
     /**
@@ -248,145 +657,132 @@ export default class PubSubApiClient {
      * @param {string} topicName name of the topic that we're subscribing to
      * @param {number} numRequested number of events requested
      * @param {number} replayId replay ID
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
      * @returns {Promise<EventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
      * @memberof PubSubApiClient.prototype
      */
-    async subscribeFromReplayId(topicName, numRequested, replayId) {
-        return this.#subscribe({
-            topicName,
-            numRequested,
-            replayPreset: 2,
-            replayId: encodeReplayId(replayId)
-        });
+    async subscribeFromReplayId(
+        topicName,
+        numRequested,
+        replayId,
+        subscribeOptions
+    ) {
+        return this.#subscribe(
+            {
+                topicName,
+                numRequested,
+                replayPreset: 2,
+                replayId: encodeReplayId(replayId)
+            },
+            subscribeOptions
+        );
     }
 
     /**
      * Subscribes to a topic
      * @param {string} topicName name of the topic that we're subscribing to
      * @param {number} numRequested number of events requested
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
      * @returns {Promise<EventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
      * @memberof PubSubApiClient.prototype
      */
-    async subscribe(topicName, numRequested) {
-        return this.#subscribe({
-            topicName,
-            numRequested
-        });
+    async subscribe(topicName, numRequested, subscribeOptions) {
+        return this.#subscribe(
+            {
+                topicName,
+                numRequested
+            },
+            subscribeOptions
+        );
     }
 
     /**
      * Subscribes to a topic using the gRPC client and an event schema
      * @param {object} subscribeRequest subscription request
+     * @param {SubscribeOptions} [subscribeOptions] subscription options
      * @return {PubSubEventEmitter} emitter that allows you to listen to received events and stream lifecycle events
      */
-    async #subscribe(subscribeRequest) {
+    async #subscribe(subscribeRequest, subscribeOptions = {}) {
         try {
             if (!this.#client) {
                 throw new Error('Pub/Sub API client is not connected.');
             }
-
-            const subscription = this.#client.Subscribe();
-            subscription.write(subscribeRequest);
-            this.#logger.info(
-                `Subscribe request sent for ${subscribeRequest.numRequested} events from ${subscribeRequest.topicName}...`
+            await this.#checkTopicPermission(
+                subscribeRequest.topicName,
+                'subscribe'
             );
-
-            // Listen to new events
+            const isInfinite = subscribeOptions.infinite === true;
+            /** @type {SubscriptionContext} */
+            const context = {
+                batchSize: subscribeRequest.numRequested,
+                isInfinite,
+                lowWaterMark: isInfinite
+                    ? this.#getLowWaterMark(subscribeRequest, subscribeOptions)
+                    : 0,
+                reconnect: getReconnectOptions(subscribeOptions.reconnect),
+                reconnectAttempt: 0,
+                receivedEventCount: 0,
+                initialRequest: subscribeRequest,
+                replayStore: subscribeOptions.replayStore,
+                handler: subscribeOptions.handler,
+                checkpoints: [],
+                pendingCommit: Promise.resolve(),
+                isOrdered: subscribeOptions.ordered === true,
+                deliveryQueue: Promise.resolve(),
+                resolveGaps: subscribeOptions.resolveGaps === true,
+                filter: subscribeOptions.filter
+                    ? createEventPredicate(subscribeOptions.filter)
+                    : undefined,
+                deadLetter: getDeadLetterOptions(subscribeOptions.deadLetter)
+            };
+            // Resume after the last processed event if the replay store holds one
+            if (context.replayStore) {
+                const storedReplayId = await context.replayStore.get(
+                    subscribeRequest.topicName
+                );
+                if (storedReplayId !== undefined && storedReplayId !== null) {
+                    this.#logger.info(
+                        `Resuming subscription to ${subscribeRequest.topicName} after stored replay ID ${storedReplayId}`
+                    );
+                    subscribeRequest = {
+                        ...subscribeRequest,
+                        replayPreset: 2,
+                        replayId: encodeReplayId(storedReplayId)
+                    };
+                    context.initialRequest = subscribeRequest;
+                }
+            }
             const eventEmitter = new PubSubEventEmitter(
                 subscribeRequest.topicName,
                 subscribeRequest.numRequested
             );
-            subscription.on('data', (data) => {
-                const latestReplayId = decodeReplayId(data.latestReplayId);
-                if (data.events) {
-                    this.#logger.info(
-                        `Received ${data.events.length} events, latest replay ID: ${latestReplayId}`,
-                        data
-                    );
-                    data.events.forEach(async (event) => {
-                        try {
-                            const schema = await this.#getEventSchemaById(
-                                event.event.schemaId
-                            );
-                            const parsedEvent = parseEvent(schema, event);
-                            this.#logger.debug(parsedEvent);
-                            eventEmitter.emit('data', parsedEvent);
-                        } catch (error) {
-                            // Report event parsing error
-                            let replayId;
-                            try {
-                                replayId = decodeReplayId(event.replayId);
-                                // eslint-disable-next-line no-empty
-                            } catch (decodeError) {
-                                this.#logger.error(decodeError);
-                            }
-                            const message = replayId
-                                ? `Failed to parse event with replay ID ${replayId}`
-                                : `Failed to parse event with unknown replay ID (latest replay ID was ${latestReplayId})`;
-                            try {
-                                const parseError = new EventParseError(
-                                    message,
-                                    error,
-                                    replayId,
-                                    event,
-                                    latestReplayId
-                                );
-                                eventEmitter.emit('error', parseError);
-                                this.#logger.error(parseError);
-                            } catch (eventParseError) {
-                                eventEmitter.emit('error', eventParseError);
-                                this.#logger.error(
-                                    eventParseError,
-                                    message,
-                                    error,
-                                    replayId,
-                                    event,
-                                    latestReplayId
-                                );
-                            }
-                        }
-                        // Emit a 'lastevent' event when reaching the last requested event count
-                        if (
-                            eventEmitter.getReceivedEventCount() ===
-                            eventEmitter.getRequestedEventCount()
-                        ) {
-                            eventEmitter.emit('lastevent');
-                        }
-                    });
-                } else {
-                    // If there are no events then, every 270 seconds (or less) the server publishes a keepalive message with
-                    // the latestReplayId and pendingNumRequested (the number of events that the client is still waiting for)
-                    this.#logger.debug(
-                        `Received keepalive message for topic ${subscribeRequest.topicName}. Latest replay ID: ${latestReplayId}`,
-                        data
+            const transactionOptions = getTransactionOptions(
+                subscribeOptions.transactions
+            );
+            if (transactionOptions) {
+                // Events from the next transaction close the current one so they must be buffered in replay order
+                if (!context.isOrdered) {
+                    throw new Error(
+                        'The transactions subscription option requires the ordered subscription option'
                     );
-                    data.latestReplayId = latestReplayId; // Replace original value with decoded value
-                    eventEmitter.emit('keepalive', data);
                 }
-            });
-            subscription.on('end', () => {
-                this.#logger.info(
-                    `gRPC stream ended for topic ${subscribeRequest.topicName}`
-                );
-                eventEmitter.emit('end');
-            });
-            subscription.on('error', (error) => {
-                this.#logger.error(
-                    `gRPC stream error for topic ${
-                        subscribeRequest.topicName
-                    }: ${JSON.stringify(error)}`
-                );
-                eventEmitter.emit('error', error);
-            });
-            subscription.on('status', (status) => {
-                this.#logger.info(
-                    `gRPC stream status for topic ${
-                        subscribeRequest.topicName
-                    }: ${JSON.stringify(status)}`
+                context.transactionBuffer = new TransactionBuffer(
+                    transactionOptions.timeout,
+                    (transaction) =>
+                        eventEmitter.emit('transaction', transaction)
                 );
-                eventEmitter.emit('status', status);
-            });
-            eventEmitter['subscription'] = subscription;
+                // Emit the transactions that are still open when the subscription ends
+                eventEmitter.on('end', () => context.transactionBuffer.flush());
+            }
+            this.#openSubscriptionStream(
+                eventEmitter,
+                subscribeRequest,
+                context
+            );
+            eventEmitter.setFlowControlCallback(() =>
+                this.#checkFlowControl(eventEmitter, context)
+            );
+            this.#subscriptions.add(eventEmitter);
             return eventEmitter;
         } catch (error) {
             throw new Error(
@@ -397,81 +793,1190 @@ export default class PubSubApiClient {
     }
 
     /**
-     * Publishes a payload to a topic using the gRPC client.
-     * @param {string} topicName name of the topic that we're subscribing to
-     * @param {Object} payload
-     * @param {string} [correlationKey] optional correlation key. If you don't provide one, we'll generate a random UUID for you.
-     * @returns {Promise<PublishResult>} Promise holding a PublishResult object with replayId and correlationKey
-     * @memberof PubSubApiClient.prototype
+     * Opens a gRPC subscription stream and forwards its events to an emitter
+     * @param {PubSubEventEmitter} eventEmitter emitter that allows you to listen to received events and stream lifecycle events
+     * @param {object} subscribeRequest subscription request
+     * @param {SubscriptionContext} context subscription context
      */
-    async publish(topicName, payload, correlationKey) {
-        try {
-            if (!this.#client) {
-                throw new Error('Pub/Sub API client is not connected.');
+    #openSubscriptionStream(eventEmitter, subscribeRequest, context) {
+        const { topicName } = subscribeRequest;
+        const subscription = this.#client.Subscribe();
+        subscription.write(subscribeRequest);
+        this.#logger.info(
+            `Subscribe request sent for ${subscribeRequest.numRequested} events from ${topicName}...`
+        );
+
+        // Report successful reconnection when the new stream delivers its first response
+        let isStreamHealthy = false;
+        const onStreamHealthy = () => {
+            if (isStreamHealthy) {
+                return;
             }
-            const schema = await this.#getEventSchema(topicName);
+            isStreamHealthy = true;
+            if (context.reconnectAttempt > 0) {
+                this.#logger.info(
+                    `Reconnected to topic ${topicName} after ${context.reconnectAttempt} attempt(s)`
+                );
+                eventEmitter.emit('reconnected', {
+                    attempt: context.reconnectAttempt,
+                    replayId: context.lastReceivedReplayId
+                });
+                context.reconnectAttempt = 0;
+            }
+        };
 
-            const id = correlationKey ? correlationKey : crypto.randomUUID();
-            const response = await new Promise((resolve, reject) => {
-                this.#client.Publish(
-                    {
-                        topicName,
-                        events: [
-                            {
-                                id, // Correlation key
-                                schemaId: schema.id,
-                                payload: schema.type.toBuffer(payload)
-                            }
-                        ]
-                    },
-                    (err, response) => {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve(response);
-                        }
+        // Listen to new events
+        subscription.on('data', (data) => {
+            onStreamHealthy();
+            const latestReplayId = decodeReplayId(data.latestReplayId);
+            if (data.events) {
+                this.#logger.info(
+                    `Received ${data.events.length} events, latest replay ID: ${latestReplayId}`,
+                    data
+                );
+                data.events.forEach((event) => {
+                    // Track events in replay order before any asynchronous processing.
+                    // Reconnections resume from there since events may still be queued for delivery.
+                    context.receivedEventCount++;
+                    context.lastReceivedReplayId = decodeReplayId(
+                        event.replayId
+                    );
+                    // Stopped subscriptions can't store replay IDs anymore so their checkpoints aren't tracked
+                    const checkpoint =
+                        context.replayStore && !eventEmitter.isCancelled()
+                            ? this.#addCheckpoint(context, event)
+                            : null;
+                    if (context.isOrdered) {
+                        // Process events one at a time in replay order
+                        context.deliveryQueue = context.deliveryQueue
+                            .then(() =>
+                                this.#processEvent(
+                                    eventEmitter,
+                                    context,
+                                    event,
+                                    latestReplayId,
+                                    checkpoint
+                                )
+                            )
+                            .catch((error) => this.#logger.error(error));
+                    } else {
+                        this.#processEvent(
+                            eventEmitter,
+                            context,
+                            event,
+                            latestReplayId,
+                            checkpoint
+                        );
                     }
+                });
+            } else {
+                // If there are no events then, every 270 seconds (or less) the server publishes a keepalive message with
+                // the latestReplayId and pendingNumRequested (the number of events that the client is still waiting for)
+                this.#logger.debug(
+                    `Received keepalive message for topic ${topicName}. Latest replay ID: ${latestReplayId}`,
+                    data
                 );
-            });
-            const result = response.results[0];
-            result.replayId = decodeReplayId(result.replayId);
-            return result;
-        } catch (error) {
-            throw new Error(`Failed to publish event for topic ${topicName}`, {
-                cause: error
-            });
-        }
+                data.latestReplayId = latestReplayId; // Replace original value with decoded value
+                if (context.isInfinite) {
+                    // Align the outstanding event count with the server's view of the subscription
+                    eventEmitter.setRequestedEventCount(
+                        context.receivedEventCount + data.pendingNumRequested
+                    );
+                    this.#checkFlowControl(eventEmitter, context);
+                }
+                eventEmitter.emit('keepalive', data);
+            }
+        });
+
+        // Either forward stream termination or attempt to resume the subscription
+        let isResuming = false;
+        let hasFailed = false;
+        let isCancelled = false;
+        subscription.on('end', () => {
+            this.#logger.info(`gRPC stream ended for topic ${topicName}`);
+            if (isResuming || isCancelled) {
+                return;
+            }
+            if (!hasFailed && this.#shouldReconnect(eventEmitter, context)) {
+                isResuming = true;
+                this.#reconnectSubscription(eventEmitter, context);
+            } else {
+                this.#subscriptions.delete(eventEmitter);
+                eventEmitter.emit('end');
+            }
+        });
+        subscription.on('error', (error) => {
+            this.#logger.error(
+                `gRPC stream error for topic ${topicName}: ${JSON.stringify(
+                    error
+                )}`
+            );
+            if (isResuming || isCancelled) {
+                return;
+            }
+            // Report a cancellation requested by the user as the end of the subscription
+            if (
+                error.code === grpc.status.CANCELLED &&
+                eventEmitter.isCancelled()
+            ) {
+                isCancelled = true;
+                this.#subscriptions.delete(eventEmitter);
+                eventEmitter.emit('end');
+                return;
+            }
+            if (this.#shouldReconnect(eventEmitter, context, error)) {
+                isResuming = true;
+                this.#reconnectSubscription(eventEmitter, context, error);
+            } else {
+                hasFailed = true;
+                this.#subscriptions.delete(eventEmitter);
+                // Refresh the access token for the other streams and the next calls
+                if (isAuthError(error) && !this.#isClosed) {
+                    this.#refreshAuth().catch((authError) => {
+                        this.#logger.error(
+                            `Failed to refresh access token after authentication error on subscription to ${topicName}`,
+                            authError
+                        );
+                    });
+                }
+                eventEmitter.emitTerminalError(error);
+            }
+        });
+        subscription.on('status', (status) => {
+            this.#logger.info(
+                `gRPC stream status for topic ${topicName}: ${JSON.stringify(
+                    status
+                )}`
+            );
+            eventEmitter.emit('status', status);
+        });
+        eventEmitter.subscription = subscription;
     }
 
     /**
-     * Closes the gRPC connection. The client will no longer receive events for any topic.
-     * @memberof PubSubApiClient.prototype
+     * Checks whether a terminated subscription stream should be resumed
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} [error] optional gRPC stream error
+     * @returns {boolean} true if the subscription should be resumed
      */
-    close() {
+    #shouldReconnect(eventEmitter, context, error) {
+        return (
+            context.reconnect !== null &&
+            !this.#isClosed &&
+            !eventEmitter.isCancelled() &&
+            error?.code !== grpc.status.CANCELLED &&
+            (context.isInfinite ||
+                eventEmitter.getRequestedEventCount() >
+                    context.receivedEventCount)
+        );
+    }
+
+    /**
+     * Resumes a subscription after the last received replay ID with exponential backoff and jitter
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} [error] optional gRPC stream error that caused the reconnection
+     */
+    #reconnectSubscription(eventEmitter, context, error) {
+        const topicName = eventEmitter.getTopicName();
+        const attempt = context.reconnectAttempt + 1;
+        if (attempt > context.reconnect.maxRetries) {
+            const reconnectError = new Error(
+                `Failed to reconnect to topic ${topicName} after ${context.reconnect.maxRetries} attempt(s)`,
+                { cause: error }
+            );
+            this.#logger.error(reconnectError);
+            this.#subscriptions.delete(eventEmitter);
+            eventEmitter.emitTerminalError(reconnectError);
+            return;
+        }
+        context.reconnectAttempt = attempt;
+        const delay = getBackoffDelay(attempt, context.reconnect);
+        this.#logger.info(
+            `Reconnecting to topic ${topicName} in ${delay} ms (attempt ${attempt})`
+        );
+        eventEmitter.emit('reconnecting', { attempt, delay, error });
+
+        setTimeout(async () => {
+            if (this.#isClosed || eventEmitter.isCancelled()) {
+                this.#subscriptions.delete(eventEmitter);
+                return;
+            }
+            // Obtain a new access token if the stream was closed because of an expired session
+            if (isAuthError(error)) {
+                try {
+                    await this.#refreshAuth();
+                } catch (authError) {
+                    this.#reconnectSubscription(
+                        eventEmitter,
+                        context,
+                        authError
+                    );
+                    return;
+                }
+            }
+            // Resume after the last received event or replay the initial request
+            const subscribeRequest = { topicName };
+            const lastReplayId = context.lastReceivedReplayId;
+            if (lastReplayId !== undefined) {
+                subscribeRequest.replayPreset = 2;
+                subscribeRequest.replayId = encodeReplayId(lastReplayId);
+            } else {
+                const { replayPreset, replayId } = context.initialRequest;
+                subscribeRequest.replayPreset = replayPreset;
+                subscribeRequest.replayId = replayId;
+            }
+            if (context.isInfinite) {
+                subscribeRequest.numRequested = context.batchSize;
+                eventEmitter.setRequestedEventCount(
+                    context.receivedEventCount + context.batchSize
+                );
+            } else {
+                subscribeRequest.numRequested =
+                    eventEmitter.getRequestedEventCount() -
+                    context.receivedEventCount;
+                if (subscribeRequest.numRequested <= 0) {
+                    this.#subscriptions.delete(eventEmitter);
+                    eventEmitter.emit('end');
+                    return;
+                }
+            }
+            try {
+                this.#openSubscriptionStream(
+                    eventEmitter,
+                    subscribeRequest,
+                    context
+                );
+            } catch (reconnectError) {
+                this.#reconnectSubscription(
+                    eventEmitter,
+                    context,
+                    reconnectError
+                );
+            }
+        }, delay);
+    }
+
+    /**
+     * Parses a received event then, delivers it or reports it as filtered if it doesn't match the subscription filter.
+     * Errors thrown by event listeners are reported on the emitter.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} event received event
+     * @param {number} latestReplayId latest replay ID of the batch that holds the event
+     * @param {Object} [checkpoint] checkpoint of the event when using a replay store
+     * @returns {Promise<void>} Promise that resolves once the event is emitted (and handled in ordered mode)
+     */
+    async #processEvent(
+        eventEmitter,
+        context,
+        event,
+        latestReplayId,
+        checkpoint
+    ) {
+        const parsedEvent = await this.#parseReceivedEvent(
+            eventEmitter,
+            context,
+            event,
+            latestReplayId,
+            checkpoint
+        );
+        if (parsedEvent) {
+            // Buffer all change events before filtering so that transactions have no sequence gaps
+            if (context.transactionBuffer && parsedEvent.changeEvent) {
+                context.transactionBuffer.add(parsedEvent);
+            }
+            try {
+                if (
+                    context.filter &&
+                    !this.#matchesFilter(eventEmitter, context, parsedEvent)
+                ) {
+                    // Filtered events are counted as received and processed without being delivered
+                    eventEmitter.emit('filtered', parsedEvent);
+                    if (checkpoint) {
+                        this.#completeCheckpoint(
+                            eventEmitter,
+                            context,
+                            checkpoint
+                        );
+                    }
+                } else {
+                    await this.#deliverEvent(
+                        eventEmitter,
+                        context,
+                        event,
+                        parsedEvent,
+                        checkpoint
+                    );
+                }
+            } catch (error) {
+                // Listener errors must not block checkpoints either
+                if (checkpoint) {
+                    this.#completeCheckpoint(eventEmitter, context, checkpoint);
+                }
+                const deliveryError = new Error(
+                    `Failed to deliver event with replay ID ${parsedEvent.replayId}`,
+                    { cause: error }
+                );
+                this.#logger.error(deliveryError);
+                eventEmitter.emit('error', deliveryError);
+            }
+        }
+        // Request a new batch of events when running low in infinite mode
+        this.#checkFlowControl(eventEmitter, context);
+        // Emit a 'lastevent' event when reaching the last requested event count.
+        // Infinite subscriptions are topped up so they never reach their last event.
+        if (
+            !context.isInfinite &&
+            eventEmitter.getReceivedEventCount() ===
+                eventEmitter.getRequestedEventCount()
+        ) {
+            context.transactionBuffer?.flush();
+            eventEmitter.emit('lastevent');
+        }
+    }
+
+    /**
+     * Parses a received event, retrying with the dead-letter retry policy when dead-lettering is enabled.
+     * Parsing errors are reported as EventParseError on the emitter or dead-lettered.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} event received event
+     * @param {number} latestReplayId latest replay ID of the batch that holds the event
+     * @param {Object} [checkpoint] checkpoint of the event when using a replay store
+     * @returns {Promise<Object|undefined>} Promise holding the parsed event or undefined if the event failed to parse
+     */
+    async #parseReceivedEvent(
+        eventEmitter,
+        context,
+        event,
+        latestReplayId,
+        checkpoint
+    ) {
+        let parseAttempts = 0;
+        try {
+            const parsedEvent = await retryWithBackoff(
+                context.deadLetter?.retry,
+                async () => {
+                    parseAttempts++;
+                    const schema = await this.#getEventSchemaById(
+                        event.event.schemaId
+                    );
+                    return parseEvent(schema, event);
+                }
+            );
+            this.#logger.debug(parsedEvent);
+            return parsedEvent;
+        } catch (error) {
+            // Unparseable events are reported or dead-lettered once their retries are exhausted
+            // so they must not block checkpoints
+            if (checkpoint) {
+                this.#completeCheckpoint(eventEmitter, context, checkpoint);
+            }
+            // Report event parsing error
+            let replayId;
+            try {
+                replayId = decodeReplayId(event.replayId);
+                // eslint-disable-next-line no-empty
+            } catch (decodeError) {
+                this.#logger.error(decodeError);
+            }
+            const message = replayId
+                ? `Failed to parse event with replay ID ${replayId}`
+                : `Failed to parse event with unknown replay ID (latest replay ID was ${latestReplayId})`;
+            try {
+                const parseError = new EventParseError(
+                    message,
+                    error,
+                    replayId,
+                    event,
+                    latestReplayId
+                );
+                this.#logger.error(parseError);
+                if (context.deadLetter) {
+                    await this.#sendToDeadLetter(eventEmitter, context, {
+                        event,
+                        replayId,
+                        reason: 'parse',
+                        attempts: parseAttempts,
+                        error: parseError
+                    });
+                } else {
+                    eventEmitter.emit('error', parseError);
+                }
+            } catch (eventParseError) {
+                eventEmitter.emit('error', eventParseError);
+                this.#logger.error(
+                    eventParseError,
+                    message,
+                    error,
+                    replayId,
+                    event,
+                    latestReplayId
+                );
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Delivers a parsed event that passed the subscription filter: emits it and passes it to the subscription handler.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} event raw received event
+     * @param {Object} parsedEvent parsed event
+     * @param {Object} [checkpoint] checkpoint of the event when using a replay store
+     * @returns {Promise<void>} Promise that resolves once the event is emitted (and handled in ordered mode)
+     */
+    async #deliverEvent(eventEmitter, context, event, parsedEvent, checkpoint) {
+        if (context.resolveGaps && parsedEvent.changeEvent?.isGap()) {
+            await this.#resolveGapRecords(eventEmitter, parsedEvent);
+        }
+        if (context.isOrdered && context.handler) {
+            // Only emit the event once it's handled
+            const outcome = await this.#handleEvent(
+                eventEmitter,
+                context,
+                event,
+                parsedEvent,
+                checkpoint
+            );
+            if (outcome === HANDLER_OUTCOMES.HANDLED) {
+                eventEmitter.emit('data', parsedEvent);
+            } else {
+                // Count failed and dead-lettered events as received so that the subscription doesn't wait for them
+                eventEmitter.trackReceivedEvent(parsedEvent.replayId);
+            }
+        } else if (context.handler) {
+            eventEmitter.emit('data', parsedEvent);
+            this.#handleEvent(
+                eventEmitter,
+                context,
+                event,
+                parsedEvent,
+                checkpoint
+            );
+        } else {
+            eventEmitter.emit('data', parsedEvent);
+        }
+        if (!context.handler && checkpoint) {
+            this.#completeCheckpoint(eventEmitter, context, checkpoint);
+        }
+    }
+
+    /**
+     * Checks whether a parsed event matches the subscription filter.
+     * Filter errors are reported on the emitter and the event is considered filtered.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} parsedEvent parsed event
+     * @returns {boolean} true if the event must be delivered
+     */
+    #matchesFilter(eventEmitter, context, parsedEvent) {
+        try {
+            return Boolean(context.filter(parsedEvent));
+        } catch (error) {
+            const filterError = new Error(
+                `Failed to filter event with replay ID ${parsedEvent.replayId}`,
+                { cause: error }
+            );
+            this.#logger.error(filterError);
+            eventEmitter.emit('error', filterError);
+            return false;
+        }
+    }
+
+    /**
+     * Retrieves the current state of the records of a gap event and attaches them to its ChangeEvent.
+     * Retrieval errors are reported on the emitter and the event is emitted without records.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {Object} parsedEvent parsed gap event
+     * @returns {Promise<void>} Promise that resolves once the records are attached or the retrieval failed
+     */
+    async #resolveGapRecords(eventEmitter, parsedEvent) {
+        this.#gapResolver ??= new GapResolver(
+            () => this.#conMetadata,
+            () => this.#refreshAuth()
+        );
+        try {
+            parsedEvent.changeEvent.records = await this.#gapResolver.resolve(
+                parsedEvent.changeEvent
+            );
+        } catch (error) {
+            const gapError = new Error(
+                `Failed to retrieve the records of gap event with replay ID ${parsedEvent.replayId}`,
+                { cause: error }
+            );
+            this.#logger.error(gapError);
+            eventEmitter.emit('error', gapError);
+        }
+    }
+
+    /**
+     * Passes an event to the subscription handler and marks it as processed once the handler resolves.
+     * When dead-lettering is enabled, the handler is retried then, the event is dead-lettered and marked as processed.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} event raw received event
+     * @param {Object} parsedEvent parsed event
+     * @param {Object} [checkpoint] checkpoint of the event when using a replay store
+     * @returns {Promise<string>} Promise holding the outcome: `handled` if the handler resolved,
+     * `deadlettered` if the event was dead-lettered or `failed` if the handler failed
+     */
+    async #handleEvent(eventEmitter, context, event, parsedEvent, checkpoint) {
+        let attempts = 0;
+        try {
+            await retryWithBackoff(context.deadLetter?.retry, async () => {
+                attempts++;
+                await context.handler(parsedEvent);
+            });
+        } catch (error) {
+            const handlerError = new Error(
+                `Failed to handle event with replay ID ${parsedEvent.replayId}`,
+                { cause: error }
+            );
+            this.#logger.error(handlerError);
+            if (!context.deadLetter) {
+                this.#stopAfterFailedEvent(eventEmitter, checkpoint);
+                eventEmitter.emit('error', handlerError);
+                return HANDLER_OUTCOMES.FAILED;
+            }
+            const isDeadLettered = await this.#sendToDeadLetter(
+                eventEmitter,
+                context,
+                {
+                    event,
+                    replayId: parsedEvent.replayId,
+                    reason: 'handler',
+                    attempts,
+                    error: handlerError
+                }
+            );
+            if (!isDeadLettered) {
+                this.#stopAfterFailedEvent(eventEmitter, checkpoint);
+                return HANDLER_OUTCOMES.FAILED;
+            }
+            if (checkpoint) {
+                this.#completeCheckpoint(eventEmitter, context, checkpoint);
+            }
+            return HANDLER_OUTCOMES.DEAD_LETTERED;
+        }
+        if (checkpoint) {
+            this.#completeCheckpoint(eventEmitter, context, checkpoint);
+        }
+        return HANDLER_OUTCOMES.HANDLED;
+    }
+
+    /**
+     * Stops a subscription that uses a replay store after the handler failed to process an event.
+     * The stored replay ID can't advance past the failed event so the checkpoint of the event is left pending
+     * and the subscription is cancelled. Subscribing again resumes from the stored replay ID and replays the event.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {Object} [checkpoint] checkpoint of the failed event when using a replay store
+     */
+    #stopAfterFailedEvent(eventEmitter, checkpoint) {
+        if (!checkpoint || eventEmitter.isCancelled()) {
+            return;
+        }
+        this.#logger.error(
+            `Stopping subscription to ${eventEmitter.getTopicName()} since event with replay ID ${
+                checkpoint.replayId
+            } failed to be handled. Subscribe again to replay it from the replay store.`
+        );
+        eventEmitter.cancel();
+    }
+
+    /**
+     * Sends an event to the dead-letter sink and emits a 'deadletter' event.
+     * Sink errors are reported on the emitter.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} failure raw event, replay ID, reason, number of attempts and error of the failed event
+     * @returns {Promise<boolean>} Promise holding true if the event was dead-lettered, false if the sink failed
+     */
+    async #sendToDeadLetter(eventEmitter, context, failure) {
+        /** @type {DeadLetter} */
+        const deadLetter = {
+            topicName: eventEmitter.getTopicName(),
+            schemaId: failure.event.event?.schemaId,
+            ...failure
+        };
+        try {
+            await context.deadLetter.sink.write(deadLetter);
+        } catch (error) {
+            const deadLetterError = new Error(
+                `Failed to dead-letter event with replay ID ${deadLetter.replayId}`,
+                { cause: error }
+            );
+            this.#logger.error(deadLetterError);
+            eventEmitter.emit('error', deadLetterError);
+            return false;
+        }
+        this.#logger.info(
+            `Dead-lettered event with replay ID ${deadLetter.replayId} from ${deadLetter.topicName} after ${deadLetter.attempts} attempt(s)`
+        );
+        eventEmitter.emit('deadletter', deadLetter);
+        return true;
+    }
+
+    /**
+     * Registers a received event so that its replay ID can be stored once processed
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} event received event
+     * @returns {Object} checkpoint of the event
+     */
+    #addCheckpoint(context, event) {
+        const checkpoint = {
+            replayId: decodeReplayId(event.replayId),
+            isProcessed: false
+        };
+        context.checkpoints.push(checkpoint);
+        return checkpoint;
+    }
+
+    /**
+     * Marks an event as processed and stores the replay ID of the latest event
+     * for which all previous events were also processed.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     * @param {Object} checkpoint checkpoint of the processed event
+     */
+    #completeCheckpoint(eventEmitter, context, checkpoint) {
+        checkpoint.isProcessed = true;
+        let replayId;
+        while (
+            context.checkpoints.length &&
+            context.checkpoints[0].isProcessed
+        ) {
+            replayId = context.checkpoints.shift().replayId;
+        }
+        if (replayId === undefined) {
+            return;
+        }
+        const topicName = eventEmitter.getTopicName();
+        context.pendingCommit = context.pendingCommit.then(async () => {
+            try {
+                await context.replayStore.set(topicName, replayId);
+            } catch (error) {
+                const storeError = new Error(
+                    `Failed to store replay ID ${replayId} for topic ${topicName}`,
+                    { cause: error }
+                );
+                this.#logger.error(storeError);
+                eventEmitter.emit('error', storeError);
+            }
+        });
+    }
+
+    /**
+     * Validates the infinite mode options and returns the low-water mark
+     * @param {object} subscribeRequest subscription request
+     * @param {SubscribeOptions} subscribeOptions subscription options
+     * @returns {number} number of pending events at or below which a new batch is requested
+     */
+    #getLowWaterMark(subscribeRequest, subscribeOptions) {
+        const { numRequested } = subscribeRequest;
+        if (!Number.isInteger(numRequested) || numRequested < 1) {
+            throw new Error(
+                `Infinite subscriptions require a positive number of requested events, got: ${numRequested}`
+            );
+        }
+        const lowWaterMark =
+            subscribeOptions.lowWaterMark ?? Math.floor(numRequested / 2);
+        if (
+            !Number.isInteger(lowWaterMark) ||
+            lowWaterMark < 0 ||
+            lowWaterMark >= numRequested
+        ) {
+            throw new Error(
+                `Invalid low-water mark: ${lowWaterMark}. Value must be an integer between 0 and ${
+                    numRequested - 1
+                }.`
+            );
+        }
+        return lowWaterMark;
+    }
+
+    /**
+     * Requests enough events to restore a full batch of outstanding events in infinite mode
+     * when the number of outstanding events drops to the low-water mark.
+     * Outstanding events are the pending events plus the events that the async iterator has yet to consume.
+     * @param {PubSubEventEmitter} eventEmitter emitter of the subscription
+     * @param {SubscriptionContext} context subscription context
+     */
+    #checkFlowControl(eventEmitter, context) {
+        if (!context.isInfinite || eventEmitter.isCancelled()) {
+            return;
+        }
+        const outstandingEventCount =
+            eventEmitter.getPendingEventCount() +
+            eventEmitter.getBufferedEventCount();
+        if (outstandingEventCount > context.lowWaterMark) {
+            return;
+        }
+        const numRequested = context.batchSize - outstandingEventCount;
+        if (numRequested > 0) {
+            this.#logger.debug(
+                `Requesting ${numRequested} additional events from ${eventEmitter.getTopicName()}`
+            );
+            eventEmitter.requestAdditionalEvents(numRequested);
+        }
+    }
+
+    /**
+     * Publishes a payload to a topic using the gRPC client.
+     * @param {string} topicName name of the topic that we're subscribing to
+     * @param {Object} payload
+     * @param {string} [correlationKey] optional correlation key. If you don't provide one, we'll generate a random UUID for you.
+     * @param {Object<string,string|Buffer>} [headers] optional event headers indexed by key
+     * @returns {Promise<PublishResult>} Promise holding a PublishResult object with replayId and correlationKey
+     * @memberof PubSubApiClient.prototype
+     */
+    async publish(topicName, payload, correlationKey, headers) {
+        try {
+            if (!this.#client) {
+                throw new Error('Pub/Sub API client is not connected.');
+            }
+            await this.#checkTopicPermission(topicName, 'publish');
+            const schema = await this.#getEventSchema(topicName);
+
+            const id = correlationKey ? correlationKey : crypto.randomUUID();
+            const response = await this.#sendPublishRequest({
+                topicName,
+                events: [
+                    {
+                        id, // Correlation key
+                        schemaId: schema.id,
+                        payload: encodePayload(topicName, schema, payload),
+                        headers: encodeEventHeaders(headers)
+                    }
+                ]
+            });
+            this.#checkSchemaChange(topicName, schema.id, response.schemaId);
+            const result = parsePublishResult(response.results[0]);
+            if (result.error) {
+                throw result.error;
+            }
+            return result;
+        } catch (error) {
+            throw new Error(`Failed to publish event for topic ${topicName}`, {
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Publishes a batch of payloads to a topic in a single request using the gRPC client.
+     * Events that fail to publish are reported with an error in their result instead of failing the whole batch.
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {Object[]} payloads event payloads
+     * @param {string[]} [correlationKeys] optional correlation keys matching the payloads by index. We'll generate random UUIDs for missing keys.
+     * @param {Object<string,string|Buffer>[]} [headers] optional event headers matching the payloads by index
+     * @returns {Promise<PublishResult[]>} Promise holding a PublishResult object for each payload, in the order returned by the Pub/Sub API
+     * @memberof PubSubApiClient.prototype
+     */
+    async publishBatch(
+        topicName,
+        payloads,
+        correlationKeys = [],
+        headers = []
+    ) {
+        try {
+            if (!this.#client) {
+                throw new Error('Pub/Sub API client is not connected.');
+            }
+            if (!Array.isArray(payloads) || payloads.length === 0) {
+                throw new Error('Expected a non-empty array of payloads.');
+            }
+            await this.#checkTopicPermission(topicName, 'publish');
+            const schema = await this.#getEventSchema(topicName);
+
+            const events = payloads.map((payload, index) => {
+                try {
+                    return {
+                        id: correlationKeys[index] ?? crypto.randomUUID(), // Correlation key
+                        schemaId: schema.id,
+                        payload: encodePayload(topicName, schema, payload),
+                        headers: encodeEventHeaders(headers[index])
+                    };
+                } catch (error) {
+                    throw new Error(
+                        `Failed to encode payload at index ${index}`,
+                        { cause: error }
+                    );
+                }
+            });
+            const response = await this.#sendPublishRequest({
+                topicName,
+                events
+            });
+            this.#checkSchemaChange(topicName, schema.id, response.schemaId);
+            const results = response.results.map(parsePublishResult);
+            const failureCount = results.filter(
+                (result) => result.error
+            ).length;
+            if (failureCount > 0) {
+                this.#logger.error(
+                    `${failureCount} of ${results.length} events failed to publish for topic ${topicName}`
+                );
+            }
+            return results;
+        } catch (error) {
+            throw new Error(`Failed to publish events for topic ${topicName}`, {
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Opens a long-lived publish stream for a topic using the PublishStream gRPC method.
+     * Note that the Pub/Sub API closes publish streams that don't receive any event for 70 seconds.
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {number} [maxPendingEvents] maximum number of events awaiting acknowledgement before the stream is full. Defaults to 100.
+     * @returns {Promise<PubSubPublishStream>} Promise holding a publisher that allows you to write events and listen to their acknowledgements
+     * @memberof PubSubApiClient.prototype
+     */
+    async createPublishStream(topicName, maxPendingEvents) {
+        try {
+            if (!this.#client) {
+                throw new Error('Pub/Sub API client is not connected.');
+            }
+            await this.#checkTopicPermission(topicName, 'publish');
+            const schema = await this.#getEventSchema(topicName);
+            const stream = this.#client.PublishStream();
+            this.#logger.info(`Publish stream opened for topic ${topicName}`);
+            const publishStream = new PubSubPublishStream(
+                topicName,
+                stream,
+                schema,
+                maxPendingEvents
+            );
+            // Track the stream so that it receives refreshed access tokens
+            this.#publishStreams.add(publishStream);
+            publishStream.on('end', () =>
+                this.#publishStreams.delete(publishStream)
+            );
+            publishStream.on('schemachange', (schemaId, previousSchemaId) => {
+                this.#checkSchemaChange(topicName, previousSchemaId, schemaId);
+                this.#updatePublishStreamSchema(publishStream, schemaId);
+            });
+            return publishStream;
+        } catch (error) {
+            throw new Error(
+                `Failed to create publish stream for topic ${topicName}`,
+                { cause: error }
+            );
+        }
+    }
+
+    /**
+     * Retrieves information about a topic, including the permissions of the Salesforce user on the topic.
+     * @param {string} topicName name of the topic
+     * @returns {Promise<TopicInfo>} Promise holding the topic information
+     * @memberof PubSubApiClient.prototype
+     */
+    async getTopic(topicName) {
+        try {
+            if (!this.#client) {
+                throw new Error('Pub/Sub API client is not connected.');
+            }
+            const topicInfo = await this.#callWithAuthRefresh(() =>
+                this.#fetchTopicWithClient(topicName)
+            );
+            this.#topicInfoCache.set(topicName, {
+                topicInfo,
+                expiresAt: Date.now() + this.#configuration.getSchemaCacheTtl()
+            });
+            return topicInfo;
+        } catch (error) {
+            throw new Error(
+                `Failed to retrieve information for topic ${topicName}`,
+                { cause: error }
+            );
+        }
+    }
+
+    /**
+     * Retrieves topic information from the cache.
+     * If it's not cached, fetches it with the gRPC client.
+     * @param {string} topicName name of the topic
+     * @returns {Promise<TopicInfo>} Promise holding the topic information
+     */
+    async #getTopicInfo(topicName) {
+        const entry = this.#topicInfoCache.get(topicName);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.topicInfo;
+        }
+        return this.getTopic(topicName);
+    }
+
+    /**
+     * Checks that the Salesforce user is allowed to publish or subscribe to a topic
+     * so that calls fail fast with a clear error instead of a gRPC error.
+     * @param {string} topicName name of the topic
+     * @param {'publish'|'subscribe'} operation operation that requires a permission
+     * @returns {Promise<void>} Promise that resolves if the user holds the permission
+     */
+    async #checkTopicPermission(topicName, operation) {
+        const topicInfo = await this.#getTopicInfo(topicName);
+        const isAllowed =
+            operation === 'publish'
+                ? topicInfo.canPublish
+                : topicInfo.canSubscribe;
+        if (!isAllowed) {
+            throw new Error(
+                `The Salesforce user is not allowed to ${operation} to topic ${topicName}. Check the user permissions and the topic access settings.`
+            );
+        }
+    }
+
+    /**
+     * Validates a payload against the current schema of a topic without publishing it.
+     * @param {string} topicName name of the topic
+     * @param {Object} payload event payload
+     * @returns {Promise<FieldValidationError[]>} Promise holding the offending fields of the payload (empty if the payload is valid)
+     * @memberof PubSubApiClient.prototype
+     */
+    async validatePayload(topicName, payload) {
+        if (!this.#client) {
+            throw new Error('Pub/Sub API client is not connected.');
+        }
+        const schema = await this.#getEventSchema(topicName);
+        return validateAvroPayload(
+            schema.type,
+            wrapUnionValues(schema.type, payload)
+        );
+    }
+
+    /**
+     * Updates the cached schema ID of a topic when the Pub/Sub API reports a different schema ID in a publish response
+     * so that the next events are encoded with the latest topic schema.
+     * @param {string} topicName name of the topic
+     * @param {string} usedSchemaId ID of the schema that was used to encode the events
+     * @param {string} [responseSchemaId] schema ID reported in the publish response
+     */
+    #checkSchemaChange(topicName, usedSchemaId, responseSchemaId) {
+        if (!responseSchemaId || responseSchemaId === usedSchemaId) {
+            return;
+        }
+        const entry = this.#topicInfoCache.get(topicName);
+        if (entry) {
+            entry.topicInfo = {
+                ...entry.topicInfo,
+                schemaId: responseSchemaId
+            };
+        }
+        this.#logger.info(
+            `Schema of topic ${topicName} changed from ${usedSchemaId} to ${responseSchemaId}`
+        );
+    }
+
+    /**
+     * Loads the latest schema of a topic and switches a publish stream to it
+     * so that the next events written on the stream are encoded with that schema.
+     * @param {PubSubPublishStream} publishStream publish stream
+     * @param {string} schemaId ID of the latest topic schema
+     */
+    async #updatePublishStreamSchema(publishStream, schemaId) {
+        try {
+            const schema = await this.#getEventSchemaById(schemaId);
+            if (publishStream.setSchema(schema)) {
+                this.#logger.info(
+                    `Publish stream for topic ${publishStream.getTopicName()} switched to schema ${schemaId}`
+                );
+            }
+        } catch (error) {
+            this.#logger.error(
+                `Failed to update schema of publish stream for topic ${publishStream.getTopicName()}`,
+                error
+            );
+        }
+    }
+
+    /**
+     * Sends a publish request with the gRPC client
+     * @param {Object} publishRequest publish request
+     * @returns {Promise<Object>} Promise holding the publish response
+     */
+    async #sendPublishRequest(publishRequest) {
+        return this.#callWithAuthRefresh(
+            () =>
+                new Promise((resolve, reject) => {
+                    this.#client.Publish(publishRequest, (err, response) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve(response);
+                        }
+                    });
+                })
+        );
+    }
+
+    /**
+     * Runs a gRPC call and retries it once with a refreshed access token if it fails with an authentication error
+     * @param {function(): Promise<T>} call function that runs the gRPC call
+     * @returns {Promise<T>} Promise holding the result of the call
+     * @template T
+     */
+    async #callWithAuthRefresh(call) {
+        try {
+            return await call();
+        } catch (error) {
+            if (!isAuthError(error)) {
+                throw error;
+            }
+            this.#logger.info(
+                'Access token rejected by Pub/Sub API, refreshing it before retrying'
+            );
+            await this.#refreshAuth();
+            return call();
+        }
+    }
+
+    /**
+     * Obtains a new access token, swaps it into the call credentials and
+     * sends it to active subscription streams with an auth refresh request.
+     * Concurrent refresh requests share the same token refresh.
+     * @returns {Promise<void>} Promise that resolves once the access token is refreshed
+     */
+    async #refreshAuth() {
+        if (!this.#pendingAuthRefresh) {
+            this.#pendingAuthRefresh = this.#fetchNewAccessToken()
+                .then((accessToken) => {
+                    this.#conMetadata = {
+                        ...this.#conMetadata,
+                        accessToken
+                    };
+                    this.#logger.info('Salesforce access token refreshed');
+                    this.#subscriptions.forEach((eventEmitter) => {
+                        try {
+                            eventEmitter.subscription?.write({
+                                topicName: eventEmitter.getTopicName(),
+                                authRefresh: accessToken
+                            });
+                        } catch (error) {
+                            this.#logger.error(
+                                `Failed to refresh access token for subscription to ${eventEmitter.getTopicName()}`,
+                                error
+                            );
+                        }
+                    });
+                    this.#publishStreams.forEach((publishStream) => {
+                        try {
+                            if (!publishStream.refreshAuth(accessToken)) {
+                                this.#publishStreams.delete(publishStream);
+                            }
+                        } catch (error) {
+                            this.#logger.error(
+                                `Failed to refresh access token for publish stream to ${publishStream.getTopicName()}`,
+                                error
+                            );
+                        }
+                    });
+                })
+                .finally(() => {
+                    this.#pendingAuthRefresh = undefined;
+                });
+        }
+        return this.#pendingAuthRefresh;
+    }
+
+    /**
+     * Obtains a new access token either by authenticating again with Salesforce
+     * or from the user-supplied refresh callback
+     * @returns {Promise<string>} Promise holding the new access token
+     */
+    async #fetchNewAccessToken() {
+        try {
+            if (this.#configuration.isUserSuppliedAuth()) {
+                if (!this.#authRefreshCallback) {
+                    throw new Error(
+                        'No auth refresh callback was supplied to "connectWithAuth(...)".'
+                    );
+                }
+                return await this.#authRefreshCallback();
+            }
+            const conMetadata = await SalesforceAuth.authenticate(
+                this.#configuration
+            );
+            return conMetadata.accessToken;
+        } catch (error) {
+            throw new Error('Failed to refresh Salesforce access token', {
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Returns the ID of the org that the client authenticated with
+     * @returns {string} the org ID or undefined if the client isn't connected
+     * @memberof PubSubApiClient.prototype
+     */
+    getOrganizationId() {
+        return this.#conMetadata?.organizationId;
+    }
+
+    /**
+     * Closes the gRPC connection. The client will no longer receive events for any topic.
+     * @memberof PubSubApiClient.prototype
+     */
+    close() {
         this.#logger.info('closing gRPC stream');
+        this.#isClosed = true;
+        this.#subscriptions.clear();
+        this.#publishStreams.clear();
         this.#client.close();
     }
 
     /**
-     * Retrieves the event schema for a topic from the cache.
+     * Retrieves an event schema by topic name or by schema ID.
+     * Schemas are cached and the current schema ID of a topic is refreshed according to the `schemaCacheTtl` configuration.
+     * @param {string} topicNameOrSchemaId name of a topic (starting with a slash) or schema ID
+     * @returns {Promise<Schema>} Promise holding the schema ID, the raw JSON schema and the parsed Avro type
+     * @memberof PubSubApiClient.prototype
+     */
+    async getSchema(topicNameOrSchemaId) {
+        if (!this.#client) {
+            throw new Error('Pub/Sub API client is not connected.');
+        }
+        if (topicNameOrSchemaId.startsWith('/')) {
+            return this.#getEventSchema(topicNameOrSchemaId);
+        }
+        return this.#getEventSchemaById(topicNameOrSchemaId);
+    }
+
+    /**
+     * Clears cached schema information.
+     * @param {string} [topicName] optional topic name. When supplied, only the current schema ID of this topic is cleared
+     * and fetched again on next use. Otherwise, all topic information and schemas are cleared.
+     * @memberof PubSubApiClient.prototype
+     */
+    clearSchemaCache(topicName) {
+        if (topicName) {
+            this.#topicInfoCache.delete(topicName);
+        } else {
+            this.#topicInfoCache.clear();
+            this.#schemaCache.clear();
+        }
+    }
+
+    /**
+     * Retrieves the current event schema for a topic from the cache.
      * If it's not cached, fetches the shema with the gRPC client.
      * @param {string} topicName name of the topic that we're fetching
      * @returns {Promise<Schema>} Promise holding parsed event schema
      */
     async #getEventSchema(topicName) {
-        let schema = this.#schemaChache.get(topicName);
-        if (!schema) {
-            try {
-                schema = await this.#fetchEventSchemaWithClient(topicName);
-                this.#schemaChache.set(topicName, schema);
-            } catch (error) {
-                throw new Error(
-                    `Failed to load schema for topic ${topicName}`,
-                    { cause: error }
-                );
-            }
+        try {
+            const { schemaId } = await this.#getTopicInfo(topicName);
+            return await this.#getEventSchemaById(schemaId);
+        } catch (error) {
+            throw new Error(`Failed to load schema for topic ${topicName}`, {
+                cause: error
+            });
         }
-        return schema;
     }
 
     /**
@@ -481,11 +1986,13 @@ export default class PubSubApiClient {
      * @returns {Promise<Schema>} Promise holding parsed event schema
      */
     async #getEventSchemaById(schemaId) {
-        let schema = this.#schemaChache.get(schemaId);
+        let schema = this.#schemaCache.get(schemaId);
         if (!schema) {
             try {
-                schema = await this.#fetchEventSchemaWithClientById(schemaId);
-                this.#schemaChache.set(schemaId, schema);
+                schema = await this.#callWithAuthRefresh(() =>
+                    this.#fetchEventSchemaWithClientById(schemaId)
+                );
+                this.#schemaCache.set(schemaId, schema);
             } catch (error) {
                 throw new Error(`Failed to load schema for id ${schemaId}`, {
                     cause: error
@@ -496,33 +2003,24 @@ export default class PubSubApiClient {
     }
 
     /**
-     * Requests the event schema for a topic using the gRPC client
+     * Requests topic information using the gRPC client
      * @param {string} topicName name of the topic that we're fetching
-     * @returns {Promise<Schema>} Promise holding parsed event schema
+     * @returns {Promise<TopicInfo>} Promise holding the topic information
      */
-    async #fetchEventSchemaWithClient(topicName) {
+    async #fetchTopicWithClient(topicName) {
         return new Promise((resolve, reject) => {
             this.#client.GetTopic({ topicName }, (topicError, response) => {
                 if (topicError) {
                     reject(topicError);
                 } else {
-                    // Get the schema information
-                    const { schemaId } = response;
-                    this.#client.GetSchema({ schemaId }, (schemaError, res) => {
-                        if (schemaError) {
-                            reject(schemaError);
-                        } else {
-                            const schemaType = avro.parse(res.schemaJson, {
-                                registry: { long: CUSTOM_LONG_AVRO_TYPE }
-                            });
-                            this.#logger.info(
-                                `Topic schema loaded: ${topicName}`
-                            );
-                            resolve({
-                                id: schemaId,
-                                type: schemaType
-                            });
-                        }
+                    // Default values of proto3 fields are omitted from responses
+                    resolve({
+                        topicName: response.topicName,
+                        tenantGuid: response.tenantGuid,
+                        canPublish: response.canPublish === true,
+                        canSubscribe: response.canSubscribe === true,
+                        schemaId: response.schemaId,
+                        rpcId: response.rpcId
                     });
                 }
             });
@@ -540,15 +2038,15 @@ export default class PubSubApiClient {
                 if (schemaError) {
                     reject(schemaError);
                 } else {
-                    const schemaType = avro.parse(res.schemaJson, {
-                        registry: { long: CUSTOM_LONG_AVRO_TYPE }
-                    });
-                    this.#logger.info(
-                        `Topic schema type loaded: ${schemaType}`
+                    const schemaType = parseAvroSchema(
+                        res.schemaJson,
+                        this.#configuration.getConversions()
                     );
+                    this.#logger.info(`Schema loaded: ${schemaId}`);
                     resolve({
                         id: schemaId,
-                        type: schemaType
+                        type: schemaType,
+                        schemaJson: res.schemaJson
                     });
                 }
             });
@@ -0,0 +1,90 @@
+import { createEventPredicate } from './utils/eventFilter.js';
+
+/**
+ * Dispatches parsed events to the handler of the first route that matches them.
+ * Routes match events with a predicate function or a declarative event filter (entity name, change type or payload fields).
+ * Pass `(event) => router.dispatch(event)` as the subscription handler so that events are only considered processed once routed.
+ * @alias EventRouter
+ * @global
+ */
+export default class EventRouter {
+    /**
+     * Routes in registration order
+     * @type {{predicate: EventPredicate, handler: EventHandler}[]}
+     */
+    #routes;
+
+    /**
+     * Handler of the events that match no route
+     * @type {EventHandler}
+     */
+    #defaultHandler;
+
+    /**
+     * Builds a new event router
+     */
+    constructor() {
+        this.#routes = [];
+    }
+
+    /**
+     * Adds a route. Routes are evaluated in registration order.
+     * @param {EventPredicate|EventFilter} filter predicate function or declarative event filter that matches the events of the route
+     * @param {EventHandler} handler handler of the events that match the route
+     * @returns {EventRouter} the router so that calls can be chained
+     */
+    route(filter, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error('Invalid event route handler: expected a function');
+        }
+        this.#routes.push({ predicate: createEventPredicate(filter), handler });
+        return this;
+    }
+
+    /**
+     * Adds a route for the Change Data Capture events of an entity.
+     * @param {string|string[]} entityName API names of the entities
+     * @param {EventHandler} handler handler of the events of the entities
+     * @returns {EventRouter} the router so that calls can be chained
+     */
+    routeEntity(entityName, handler) {
+        return this.route({ entityName }, handler);
+    }
+
+    /**
+     * Adds a route for the Change Data Capture events of a change type.
+     * @param {string|string[]} changeType change types (e.g. `CREATE`, `UPDATE`)
+     * @param {EventHandler} handler handler of the events of the change types
+     * @returns {EventRouter} the router so that calls can be chained
+     */
+    routeChangeType(changeType, handler) {
+        return this.route({ changeType }, handler);
+    }
+
+    /**
+     * Sets the handler of the events that match no route. These events are ignored when no default handler is set.
+     * @param {EventHandler} handler handler of the events that match no route
+     * @returns {EventRouter} the router so that calls can be chained
+     */
+    setDefaultHandler(handler) {
+        this.#defaultHandler = handler;
+        return this;
+    }
+
+    /**
+     * Dispatches an event to the handler of the first route that matches it or to the default handler.
+     * @param {Object} event parsed event
+     * @returns {Promise<boolean>} Promise holding true if a handler processed the event, false if the event was ignored
+     */
+    async dispatch(event) {
+        const route = this.#routes.find(({ predicate }) =>
+            Boolean(predicate(event))
+        );
+        const handler = route ? route.handler : this.#defaultHandler;
+        if (!handler) {
+            return false;
+        }
+        await handler(event);
+        return true;
+    }
+}
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+
+/**
+ * Dead-letter sink that appends dead-lettered events to a JSON Lines file (one JSON object per line).
+ * Binary values of the raw event (payload, header values and replay ID) are saved in base64.
+ * @alias FileDeadLetterSink
+ * @global
+ */
+export default class FileDeadLetterSink {
+    /**
+     * Path of the JSON Lines file
+     * @type {string}
+     */
+    #filePath;
+
+    /**
+     * Promise that resolves once the latest write operation completes
+     * @type {Promise<void>}
+     */
+    #pendingWrite;
+
+    /**
+     * Builds a new JSON Lines file dead-letter sink
+     * @param {string} filePath path of the JSON Lines file. The file is created if it doesn't exist.
+     */
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('Missing file path for dead-letter sink');
+        }
+        this.#filePath = filePath;
+        this.#pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Appends a dead-lettered event to the file
+     * @param {DeadLetter} deadLetter dead-lettered event
+     * @returns {Promise<void>} Promise that resolves once the event is written to the file
+     */
+    async write(deadLetter) {
+        const line = `${JSON.stringify(serializeDeadLetter(deadLetter))}\n`;
+        // Serialize writes so that lines are never interleaved
+        this.#pendingWrite = this.#pendingWrite
+            .catch(() => {})
+            .then(() => fs.appendFile(this.#filePath, line, 'utf8'));
+        try {
+            await this.#pendingWrite;
+        } catch (error) {
+            throw new Error(
+                `Failed to write dead-letter file ${this.#filePath}`,
+                { cause: error }
+            );
+        }
+    }
+}
+
+/**
+ * Converts a dead-lettered event into a JSON-friendly object
+ * @param {DeadLetter} deadLetter dead-lettered event
+ * @returns {Object} JSON-friendly dead-lettered event
+ * @private
+ */
+function serializeDeadLetter(deadLetter) {
+    const { event } = deadLetter;
+    const errors = [];
+    for (let error = deadLetter.error; error; error = error.cause) {
+        errors.push(error.message ?? String(error));
+    }
+    return {
+        deadLetteredAt: new Date().toISOString(),
+        topicName: deadLetter.topicName,
+        replayId: deadLetter.replayId,
+        schemaId: deadLetter.schemaId,
+        reason: deadLetter.reason,
+        attempts: deadLetter.attempts,
+        errors,
+        event: {
+            id: event.event?.id,
+            schemaId: event.event?.schemaId,
+            payload: event.event?.payload?.toString('base64'),
+            headers: event.event?.headers?.map(({ key, value }) => ({
+                key,
+                value: value?.toString('base64')
+            })),
+            replayId: event.replayId?.toString('base64')
+        }
+    };
+}
@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import { encodeReplayId, decodeReplayId } from './utils/eventParser.js';
+
+/**
+ * Replay ID store that persists the last processed replay ID of each topic in a JSON file.
+ * Replay IDs are saved in their encoded form (base64) so that no precision is lost.
+ * @alias FileReplayStore
+ * @global
+ */
+export default class FileReplayStore {
+    /**
+     * Path of the JSON file
+     * @type {string}
+     */
+    #filePath;
+
+    /**
+     * Promise holding the encoded replay IDs indexed by topic name
+     * @type {Promise<Object<string,string>>}
+     */
+    #replayIds;
+
+    /**
+     * Promise that resolves once the latest write operation completes
+     * @type {Promise<void>}
+     */
+    #pendingWrite;
+
+    /**
+     * Builds a new JSON file replay ID store
+     * @param {string} filePath path of the JSON file. The file is created if it doesn't exist.
+     */
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('Missing file path for replay ID store');
+        }
+        this.#filePath = filePath;
+        this.#pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Retrieves the last processed replay ID for a topic
+     * @param {string} topicName name of the topic
+     * @returns {Promise<number>} Promise holding the replay ID or undefined if none was stored
+     */
+    async get(topicName) {
+        const replayIds = await this.#load();
+        const encodedReplayId = replayIds[topicName];
+        return encodedReplayId
+            ? decodeReplayId(Buffer.from(encodedReplayId, 'base64'))
+            : undefined;
+    }
+
+    /**
+     * Stores the last processed replay ID for a topic
+     * @param {string} topicName name of the topic
+     * @param {number} replayId replay ID of the last processed event
+     * @returns {Promise<void>} Promise that resolves once the replay ID is written to the file
+     */
+    async set(topicName, replayId) {
+        const replayIds = await this.#load();
+        replayIds[topicName] = encodeReplayId(replayId).toString('base64');
+        // Serialize writes and replace the file atomically
+        const content = JSON.stringify(replayIds, null, 2);
+        this.#pendingWrite = this.#pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                const tempFilePath = `${this.#filePath}.tmp`;
+                await fs.writeFile(tempFilePath, content, 'utf8');
+                await fs.rename(tempFilePath, this.#filePath);
+            });
+        try {
+            await this.#pendingWrite;
+        } catch (error) {
+            throw new Error(
+                `Failed to write replay ID store file ${this.#filePath}`,
+                { cause: error }
+            );
+        }
+    }
+
+    /**
+     * Loads the replay IDs from the file once
+     * @returns {Promise<Object<string,string>>} Promise holding the encoded replay IDs indexed by topic name
+     */
+    async #load() {
+        if (!this.#replayIds) {
+            this.#replayIds = fs
+                .readFile(this.#filePath, 'utf8')
+                .then((content) => JSON.parse(content))
+                .catch((error) => {
+                    if (error.code === 'ENOENT') {
+                        return {};
+                    }
+                    this.#replayIds = undefined;
+                    throw new Error(
+                        `Failed to read replay ID store file ${this.#filePath}`,
+                        { cause: error }
+                    );
+                });
+        }
+        return this.#replayIds;
+    }
+}
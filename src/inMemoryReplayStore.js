@@ -0,0 +1,40 @@
+/**
+ * Replay ID store that keeps the last processed replay ID of each topic in memory.
+ * Replay IDs are lost when the process exits so this store is mostly useful for tests
+ * or for resuming subscriptions within the same process.
+ * @alias InMemoryReplayStore
+ * @global
+ */
+export default class InMemoryReplayStore {
+    /**
+     * Map of replay IDs indexed by topic name
+     * @type {Map<string,number>}
+     */
+    #replayIds;
+
+    /**
+     * Builds a new in-memory replay ID store
+     */
+    constructor() {
+        this.#replayIds = new Map();
+    }
+
+    /**
+     * Retrieves the last processed replay ID for a topic
+     * @param {string} topicName name of the topic
+     * @returns {Promise<number>} Promise holding the replay ID or undefined if none was stored
+     */
+    async get(topicName) {
+        return this.#replayIds.get(topicName);
+    }
+
+    /**
+     * Stores the last processed replay ID for a topic
+     * @param {string} topicName name of the topic
+     * @param {number} replayId replay ID of the last processed event
+     * @returns {Promise<void>} Promise that resolves once the replay ID is stored
+     */
+    async set(topicName, replayId) {
+        this.#replayIds.set(topicName, replayId);
+    }
+}
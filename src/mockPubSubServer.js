@@ -0,0 +1,704 @@
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import grpc from '@grpc/grpc-js';
+import protoLoader from '@grpc/proto-loader';
+
+import { encodePayload, parseAvroSchema } from './utils/avroHelper.js';
+import {
+    encodeReplayId,
+    decodeReplayId,
+    encodeEventHeaders,
+    decodeEventHeaders
+} from './utils/eventParser.js';
+
+/**
+ * @typedef {Object} MockTopicOptions
+ * @property {boolean} [canPublish] whether clients are allowed to publish on the topic. Defaults to true.
+ * @property {boolean} [canSubscribe] whether clients are allowed to subscribe to the topic. Defaults to true.
+ * @global
+ */
+
+/**
+ * @typedef {Object} MockFault
+ * @property {number} [code] gRPC status code. Defaults to UNAVAILABLE.
+ * @property {string} [details] error message
+ * @property {string} [errorCode] optional Salesforce error code sent in the 'error-code' metadata
+ * @global
+ */
+
+/**
+ * Error code that the Pub/Sub API reports when the access token is invalid or expired.
+ * @private
+ */
+const AUTH_ERROR_CODE = 'sfdc.platform.eventbus.grpc.service.auth.error';
+
+/**
+ * Supported subscription replay start values.
+ * @private
+ */
+const REPLAY_PRESET_EARLIEST = 1,
+    REPLAY_PRESET_CUSTOM = 2;
+
+/**
+ * In-process fake of the Salesforce Pub/Sub API gRPC service for testing consumers and publishers.
+ * The server listens on localhost over an insecure channel and supports GetTopic, GetSchema, Publish,
+ * PublishStream and Subscribe with replay presets, keepalives and flow control.
+ * @alias MockPubSubServer
+ * @global
+ */
+export default class MockPubSubServer {
+    /**
+     * gRPC server
+     * @type {Object}
+     */
+    #server;
+
+    /**
+     * Port the server listens on
+     * @type {number}
+     */
+    #port;
+
+    /**
+     * Topics indexed by topic name
+     * @type {Map<string,Object>}
+     */
+    #topics;
+
+    /**
+     * Parsed schemas indexed by schema ID
+     * @type {Map<string,Object>}
+     */
+    #schemas;
+
+    /**
+     * Active subscriptions
+     * @type {Set<Object>}
+     */
+    #subscriptions;
+
+    /**
+     * Faults to inject in the next calls indexed by method name
+     * @type {Map<string,MockFault[]>}
+     */
+    #faults;
+
+    /**
+     * Callbacks waiting for a subscriber indexed by topic name
+     * @type {Map<string,Function[]>}
+     */
+    #subscriberWaiters;
+
+    /**
+     * Access token expected in call metadata. Any token is accepted if unset.
+     * @type {string}
+     */
+    #accessToken;
+
+    #keepAliveInterval;
+    #tenantId;
+    #lastReplayId;
+
+    /**
+     * Builds a new mock Pub/Sub API server
+     * @param {Object} [options] server options
+     * @param {number} [options.keepAliveInterval] interval in milliseconds between keepalive messages on idle subscriptions. Defaults to 5000.
+     * @param {string} [options.tenantId] org ID reported in topic information
+     */
+    constructor({ keepAliveInterval = 5000, tenantId } = {}) {
+        this.#keepAliveInterval = keepAliveInterval;
+        this.#tenantId = tenantId ?? '00D000000000000AAA';
+        this.#topics = new Map();
+        this.#schemas = new Map();
+        this.#subscriptions = new Set();
+        this.#faults = new Map();
+        this.#subscriberWaiters = new Map();
+        this.#lastReplayId = 0;
+    }
+
+    /**
+     * Starts the server on localhost
+     * @param {number} [port] port to listen on. A random port is picked if none is supplied.
+     * @returns {Promise<string>} Promise holding the endpoint of the server (host:port)
+     */
+    async start(port = 0) {
+        const protoFilePath = fileURLToPath(
+            new URL('../pubsub_api.proto', import.meta.url)
+        );
+        const packageDef = protoLoader.loadSync(protoFilePath, {});
+        const grpcObj = grpc.loadPackageDefinition(packageDef);
+        const { service } = grpcObj.eventbus.v1.PubSub;
+
+        this.#server = new grpc.Server();
+        this.#server.addService(service, {
+            GetTopic: (call, callback) => this.#getTopic(call, callback),
+            GetSchema: (call, callback) => this.#getSchema(call, callback),
+            Publish: (call, callback) => this.#publish(call, callback),
+            PublishStream: (call) => this.#publishStream(call),
+            Subscribe: (call) => this.#subscribe(call)
+        });
+        this.#port = await new Promise((resolve, reject) => {
+            this.#server.bindAsync(
+                `127.0.0.1:${port}`,
+                grpc.ServerCredentials.createInsecure(),
+                (error, boundPort) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(boundPort);
+                    }
+                }
+            );
+        });
+        this.#server.start();
+        return this.getEndpoint();
+    }
+
+    /**
+     * Stops the server and closes all active streams
+     * @returns {Promise<void>} Promise that resolves once the server is stopped
+     */
+    async stop() {
+        this.#subscriptions.forEach((subscription) =>
+            this.#closeSubscription(subscription)
+        );
+        if (this.#server) {
+            this.#server.forceShutdown();
+            this.#server = undefined;
+        }
+    }
+
+    /**
+     * Returns the endpoint of the server
+     * @returns {string} endpoint (host:port)
+     */
+    getEndpoint() {
+        return `localhost:${this.#port}`;
+    }
+
+    /**
+     * Registers a topic or updates the schema of an existing topic
+     * @param {string} topicName name of the topic
+     * @param {string|Object} schema Avro schema of the topic events
+     * @param {MockTopicOptions} [options] topic options
+     * @returns {string} schema ID of the topic
+     */
+    registerTopic(
+        topicName,
+        schema,
+        { canPublish = true, canSubscribe = true } = {}
+    ) {
+        const schemaJson =
+            typeof schema === 'string' ? schema : JSON.stringify(schema);
+        const schemaId = crypto
+            .createHash('sha256')
+            .update(schemaJson)
+            .digest('base64url')
+            .substring(0, 22);
+        this.#schemas.set(schemaId, {
+            schemaJson,
+            type: parseAvroSchema(schemaJson)
+        });
+        const existingTopic = this.#topics.get(topicName);
+        this.#topics.set(topicName, {
+            topicName,
+            schemaId,
+            canPublish,
+            canSubscribe,
+            events: existingTopic ? existingTopic.events : []
+        });
+        return schemaId;
+    }
+
+    /**
+     * Injects an event in a topic as if it was published by another client.
+     * The payload accepts the same shape as publish(): union values may be plain or wrapped.
+     * @param {string} topicName name of the topic
+     * @param {Object} payload event payload that matches the topic schema
+     * @param {Object<string,string|Buffer>} [headers] optional event headers
+     * @returns {number} replay ID of the event
+     * @throws {PayloadValidationError} if the payload doesn't match the topic schema
+     */
+    injectEvent(topicName, payload, headers) {
+        const topic = this.#getTopicOrThrow(topicName);
+        const schema = this.#schemas.get(topic.schemaId);
+        return this.#appendEvent(topic, {
+            id: crypto.randomUUID(),
+            schemaId: topic.schemaId,
+            payload: encodePayload(topicName, schema, payload),
+            headers: encodeEventHeaders(headers)
+        });
+    }
+
+    /**
+     * Returns the events stored in a topic (injected or published)
+     * @param {string} topicName name of the topic
+     * @returns {Object[]} events with their replay ID, correlation key, decoded payload and schema ID
+     */
+    getEvents(topicName) {
+        const topic = this.#getTopicOrThrow(topicName);
+        return topic.events.map((consumerEvent) => ({
+            replayId: decodeReplayId(consumerEvent.replayId),
+            correlationKey: consumerEvent.event.id,
+            schemaId: consumerEvent.event.schemaId,
+            payload: this.#schemas
+                .get(consumerEvent.event.schemaId)
+                .type.fromBuffer(consumerEvent.event.payload),
+            headers: decodeEventHeaders(consumerEvent.event.headers)
+        }));
+    }
+
+    /**
+     * Waits for a client to subscribe to a topic.
+     * Subscriptions only start tracking events once their first fetch request is received so
+     * call this before injecting events that a subscriber must receive.
+     * @param {string} topicName name of the topic
+     * @returns {Promise<void>} Promise that resolves once a subscriber is registered for the topic
+     */
+    waitForSubscriber(topicName) {
+        const hasSubscriber = [...this.#subscriptions].some(
+            (subscription) => subscription.topicName === topicName
+        );
+        if (hasSubscriber) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            if (!this.#subscriberWaiters.has(topicName)) {
+                this.#subscriberWaiters.set(topicName, []);
+            }
+            this.#subscriberWaiters.get(topicName).push(resolve);
+        });
+    }
+
+    /**
+     * Makes the next call of a gRPC method fail
+     * @param {string} methodName name of the gRPC method (GetTopic, GetSchema, Publish, PublishStream or Subscribe)
+     * @param {MockFault} [fault] fault to inject
+     */
+    injectFault(methodName, fault = {}) {
+        if (!this.#faults.has(methodName)) {
+            this.#faults.set(methodName, []);
+        }
+        this.#faults.get(methodName).push(fault);
+    }
+
+    /**
+     * Terminates the active subscriptions of a topic with an error
+     * @param {string} [topicName] name of the topic. All subscriptions are terminated if omitted.
+     * @param {MockFault} [fault] fault reported to subscribers
+     */
+    disconnectSubscribers(topicName, fault = {}) {
+        this.#subscriptions.forEach((subscription) => {
+            if (!topicName || subscription.topicName === topicName) {
+                subscription.call.emit('error', buildError(fault));
+                this.#closeSubscription(subscription);
+            }
+        });
+    }
+
+    /**
+     * Sets the access token that calls must supply. Calls with other tokens fail with an authentication error.
+     * @param {string} [accessToken] expected access token. Any token is accepted if unset.
+     */
+    setAccessToken(accessToken) {
+        this.#accessToken = accessToken;
+    }
+
+    /**
+     * Handles GetTopic calls
+     * @param {Object} call gRPC call
+     * @param {Function} callback gRPC callback
+     */
+    #getTopic(call, callback) {
+        const error = this.#checkCall('GetTopic', call);
+        if (error) {
+            callback(error);
+            return;
+        }
+        const topic = this.#topics.get(call.request.topicName);
+        if (!topic) {
+            callback(topicNotFound(call.request.topicName));
+            return;
+        }
+        callback(null, {
+            topicName: topic.topicName,
+            tenantGuid: this.#tenantId,
+            canPublish: topic.canPublish,
+            canSubscribe: topic.canSubscribe,
+            schemaId: topic.schemaId,
+            rpcId: crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Handles GetSchema calls
+     * @param {Object} call gRPC call
+     * @param {Function} callback gRPC callback
+     */
+    #getSchema(call, callback) {
+        const error = this.#checkCall('GetSchema', call);
+        if (error) {
+            callback(error);
+            return;
+        }
+        const { schemaId } = call.request;
+        const schema = this.#schemas.get(schemaId);
+        if (!schema) {
+            callback(
+                buildError({
+                    code: grpc.status.NOT_FOUND,
+                    details: `Schema not found: ${schemaId}`
+                })
+            );
+            return;
+        }
+        callback(null, {
+            schemaJson: schema.schemaJson,
+            schemaId,
+            rpcId: crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Handles Publish calls
+     * @param {Object} call gRPC call
+     * @param {Function} callback gRPC callback
+     */
+    #publish(call, callback) {
+        const error = this.#checkCall('Publish', call);
+        if (error) {
+            callback(error);
+            return;
+        }
+        try {
+            callback(null, this.#publishEvents(call.request));
+        } catch (publishError) {
+            callback(publishError);
+        }
+    }
+
+    /**
+     * Handles PublishStream calls
+     * @param {Object} call gRPC duplex stream
+     */
+    #publishStream(call) {
+        const error = this.#checkCall('PublishStream', call);
+        if (error) {
+            call.emit('error', error);
+            return;
+        }
+        let topicName;
+        call.on('data', (publishRequest) => {
+            try {
+                if (!topicName) {
+                    topicName = publishRequest.topicName;
+                } else if (
+                    publishRequest.topicName &&
+                    publishRequest.topicName !== topicName
+                ) {
+                    throw buildError({
+                        code: grpc.status.INVALID_ARGUMENT,
+                        details: `Topic name mismatch: expected ${topicName}`
+                    });
+                }
+                // Auth refresh requests hold no event and get no response
+                if (
+                    publishRequest.authRefresh &&
+                    !publishRequest.events?.length
+                ) {
+                    return;
+                }
+                call.write(
+                    this.#publishEvents({ ...publishRequest, topicName })
+                );
+            } catch (publishError) {
+                call.emit('error', publishError);
+            }
+        });
+        call.on('end', () => call.end());
+    }
+
+    /**
+     * Stores published events and builds a publish response
+     * @param {Object} publishRequest publish request
+     * @returns {Object} publish response
+     */
+    #publishEvents(publishRequest) {
+        const topic = this.#topics.get(publishRequest.topicName);
+        if (!topic) {
+            throw topicNotFound(publishRequest.topicName);
+        }
+        if (!topic.canPublish) {
+            throw buildError({
+                code: grpc.status.PERMISSION_DENIED,
+                details: `Publish is not allowed on topic ${topic.topicName}`
+            });
+        }
+        const results = (publishRequest.events ?? []).map((event) => {
+            const schema = this.#schemas.get(event.schemaId);
+            try {
+                if (!schema) {
+                    throw new Error(`Unknown schema ID ${event.schemaId}`);
+                }
+                schema.type.fromBuffer(event.payload);
+            } catch (error) {
+                return {
+                    error: { code: 1, msg: error.message },
+                    correlationKey: event.id
+                };
+            }
+            const replayId = this.#appendEvent(topic, event);
+            return {
+                replayId: encodeReplayId(replayId),
+                correlationKey: event.id
+            };
+        });
+        return {
+            results,
+            schemaId: topic.schemaId,
+            rpcId: crypto.randomUUID()
+        };
+    }
+
+    /**
+     * Handles Subscribe calls
+     * @param {Object} call gRPC duplex stream
+     */
+    #subscribe(call) {
+        const error = this.#checkCall('Subscribe', call);
+        if (error) {
+            call.emit('error', error);
+            return;
+        }
+        let subscription;
+        call.on('data', (fetchRequest) => {
+            // Set up the subscription with the first request
+            if (!subscription) {
+                const topic = this.#topics.get(fetchRequest.topicName);
+                if (!topic) {
+                    call.emit('error', topicNotFound(fetchRequest.topicName));
+                    return;
+                }
+                if (!topic.canSubscribe) {
+                    call.emit(
+                        'error',
+                        buildError({
+                            code: grpc.status.PERMISSION_DENIED,
+                            details: `Subscribe is not allowed on topic ${topic.topicName}`
+                        })
+                    );
+                    return;
+                }
+                subscription = {
+                    call,
+                    topicName: topic.topicName,
+                    cursor: getReplayStart(topic, fetchRequest),
+                    pendingNumRequested: 0,
+                    keepAliveTimer: setInterval(
+                        () => this.#sendKeepAlive(subscription),
+                        this.#keepAliveInterval
+                    )
+                };
+                this.#subscriptions.add(subscription);
+                this.#notifySubscriberWaiters(topic.topicName);
+            } else if (
+                fetchRequest.topicName &&
+                fetchRequest.topicName !== subscription.topicName
+            ) {
+                call.emit(
+                    'error',
+                    buildError({
+                        code: grpc.status.INVALID_ARGUMENT,
+                        details: `Topic name mismatch: expected ${subscription.topicName}`
+                    })
+                );
+                this.#closeSubscription(subscription);
+                return;
+            }
+            subscription.pendingNumRequested += fetchRequest.numRequested ?? 0;
+            this.#deliverEvents(subscription);
+        });
+        call.on('cancelled', () => {
+            if (subscription) {
+                this.#closeSubscription(subscription);
+            }
+        });
+        call.on('end', () => {
+            if (subscription) {
+                this.#closeSubscription(subscription);
+            }
+            call.end();
+        });
+    }
+
+    /**
+     * Resolves the callbacks waiting for a subscriber on a topic
+     * @param {string} topicName name of the topic
+     */
+    #notifySubscriberWaiters(topicName) {
+        const waiters = this.#subscriberWaiters.get(topicName);
+        if (waiters) {
+            this.#subscriberWaiters.delete(topicName);
+            waiters.forEach((resolve) => resolve());
+        }
+    }
+
+    /**
+     * Appends an event to a topic and delivers it to subscribers
+     * @param {Object} topic topic
+     * @param {Object} event producer event
+     * @returns {number} replay ID of the event
+     */
+    #appendEvent(topic, event) {
+        this.#lastReplayId++;
+        topic.events.push({
+            event,
+            replayId: encodeReplayId(this.#lastReplayId)
+        });
+        this.#subscriptions.forEach((subscription) => {
+            if (subscription.topicName === topic.topicName) {
+                this.#deliverEvents(subscription);
+            }
+        });
+        return this.#lastReplayId;
+    }
+
+    /**
+     * Sends the available events of a topic to a subscriber within the limit of the requested events
+     * @param {Object} subscription subscription
+     */
+    #deliverEvents(subscription) {
+        const topic = this.#topics.get(subscription.topicName);
+        const count = Math.min(
+            subscription.pendingNumRequested,
+            topic.events.length - subscription.cursor
+        );
+        if (count <= 0) {
+            return;
+        }
+        const events = topic.events.slice(
+            subscription.cursor,
+            subscription.cursor + count
+        );
+        subscription.cursor += count;
+        subscription.pendingNumRequested -= count;
+        subscription.call.write({
+            events,
+            latestReplayId: events[events.length - 1].replayId,
+            rpcId: crypto.randomUUID(),
+            pendingNumRequested: subscription.pendingNumRequested
+        });
+    }
+
+    /**
+     * Sends a keepalive message to a subscriber
+     * @param {Object} subscription subscription
+     */
+    #sendKeepAlive(subscription) {
+        subscription.call.write({
+            events: [],
+            latestReplayId: encodeReplayId(this.#lastReplayId),
+            rpcId: crypto.randomUUID(),
+            pendingNumRequested: subscription.pendingNumRequested
+        });
+    }
+
+    /**
+     * Stops tracking a subscription
+     * @param {Object} subscription subscription
+     */
+    #closeSubscription(subscription) {
+        clearInterval(subscription.keepAliveTimer);
+        this.#subscriptions.delete(subscription);
+    }
+
+    /**
+     * Checks call authentication and injected faults
+     * @param {string} methodName name of the gRPC method
+     * @param {Object} call gRPC call
+     * @returns {Object} gRPC error if the call must fail, undefined otherwise
+     */
+    #checkCall(methodName, call) {
+        const fault = this.#faults.get(methodName)?.shift();
+        if (fault) {
+            return buildError(fault);
+        }
+        if (this.#accessToken) {
+            const [accessToken] = call.metadata.get('accesstoken');
+            if (accessToken !== this.#accessToken) {
+                return buildError({
+                    code: grpc.status.UNAUTHENTICATED,
+                    details: 'Invalid or expired access token',
+                    errorCode: AUTH_ERROR_CODE
+                });
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Retrieves a topic
+     * @param {string} topicName name of the topic
+     * @returns {Object} topic
+     */
+    #getTopicOrThrow(topicName) {
+        const topic = this.#topics.get(topicName);
+        if (!topic) {
+            throw new Error(`Topic ${topicName} is not registered`);
+        }
+        return topic;
+    }
+}
+
+/**
+ * Computes the index of the first event to deliver for a new subscription
+ * @param {Object} topic topic
+ * @param {Object} fetchRequest first fetch request of the subscription
+ * @returns {number} index of the first event to deliver
+ * @private
+ */
+function getReplayStart(topic, fetchRequest) {
+    if (fetchRequest.replayPreset === REPLAY_PRESET_EARLIEST) {
+        return 0;
+    }
+    if (fetchRequest.replayPreset === REPLAY_PRESET_CUSTOM) {
+        const replayId = decodeReplayId(fetchRequest.replayId);
+        const index = topic.events.findIndex(
+            (event) => decodeReplayId(event.replayId) > replayId
+        );
+        return index === -1 ? topic.events.length : index;
+    }
+    return topic.events.length;
+}
+
+/**
+ * Builds a gRPC error
+ * @param {MockFault} fault fault description
+ * @returns {Object} gRPC error
+ * @private
+ */
+function buildError({ code, details, errorCode }) {
+    const metadata = new grpc.Metadata();
+    if (errorCode) {
+        metadata.add('error-code', errorCode);
+    }
+    const error = new Error(details ?? 'Injected fault');
+    error.code = code ?? grpc.status.UNAVAILABLE;
+    error.details = details ?? 'Injected fault';
+    error.metadata = metadata;
+    return error;
+}
+
+/**
+ * Builds a gRPC error for an unknown topic
+ * @param {string} topicName name of the topic
+ * @returns {Object} gRPC error
+ * @private
+ */
+function topicNotFound(topicName) {
+    return buildError({
+        code: grpc.status.NOT_FOUND,
+        details: `Topic not found: ${topicName}`
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * @typedef {Object} FieldValidationError
+ * @property {string} path path of the offending field (nested fields and union branches are separated by dots)
+ * @property {string} expectedType Avro type expected by the schema
+ * @property {any} value received value
+ * @global
+ */
+
+/**
+ * Holds the field-level errors of a payload that doesn't match the schema of a topic.
+ * @alias PayloadValidationError
+ * @global
+ */
+export default class PayloadValidationError extends Error {
+    /**
+     * The name of the topic whose schema the payload was validated against.
+     * @type {string}
+     * @public
+     */
+    topicName;
+
+    /**
+     * The offending fields of the payload.
+     * @type {FieldValidationError[]}
+     * @public
+     */
+    fieldErrors;
+
+    /**
+     * Builds a new PayloadValidationError error.
+     * @param {string} topicName The name of the topic whose schema the payload was validated against.
+     * @param {FieldValidationError[]} fieldErrors The offending fields of the payload.
+     * @protected
+     */
+    constructor(topicName, fieldErrors) {
+        const details = fieldErrors
+            .map(
+                ({ path, expectedType, value }) =>
+                    `${
+                        path || 'payload'
+                    } (expected ${expectedType}, received ${formatValue(
+                        value
+                    )})`
+            )
+            .join(', ');
+        super(
+            `Payload doesn't match the schema of topic ${topicName}: ${details}`
+        );
+        this.topicName = topicName;
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+/**
+ * Formats a received value for an error message.
+ * @param {any} value received value
+ * @returns {string} formatted value
+ * @private
+ */
+function formatValue(value) {
+    if (value === undefined || typeof value === 'bigint') {
+        return String(value);
+    }
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+}
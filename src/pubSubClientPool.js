@@ -0,0 +1,328 @@
+import { EventEmitter } from 'events';
+import PubSubApiClient from './client.js';
+
+/**
+ * Subscription events that are forwarded by the pool
+ * @private
+ */
+const LIFECYCLE_EVENTS = [
+    'end',
+    'error',
+    'lastevent',
+    'reconnecting',
+    'reconnected'
+];
+
+/**
+ * @typedef {Object} UserSuppliedAuth
+ * @property {string} accessToken Salesforce access token
+ * @property {string} instanceUrl Salesforce instance URL
+ * @property {AuthRefreshCallback} [authRefreshCallback] optional callback that supplies a new access token when the current one expires
+ * @global
+ */
+
+/**
+ * @typedef {Object} SubscriptionSource
+ * @property {string} orgId ID of the org that the subscription belongs to
+ * @property {string} topicName name of the topic of the subscription
+ * @property {PubSubEventEmitter} subscription emitter of the subscription
+ * @global
+ */
+
+/**
+ * Manages Pub/Sub API clients for multiple Salesforce orgs in a single process.
+ * Clients are indexed by org ID and each client has its own authentication and schema cache.
+ * The pool forwards the lifecycle events of the subscriptions that are created through it.
+ * @alias PubSubClientPool
+ * @global
+ */
+export default class PubSubClientPool extends EventEmitter {
+    /**
+     * Clients indexed by 15-character org ID
+     * @type {Map<string,PubSubApiClient>}
+     */
+    #clients;
+
+    /**
+     * 15-character IDs of the orgs whose client is connecting
+     * @type {Set<string>}
+     */
+    #connectingOrgIds;
+
+    #logger;
+
+    /**
+     * Builds a new client pool
+     * @param {Logger} [logger] an optional custom logger shared by all clients. The pool uses the console if no value is supplied.
+     */
+    constructor(logger = console) {
+        super();
+        this.#clients = new Map();
+        this.#connectingOrgIds = new Set();
+        this.#logger = logger;
+    }
+
+    /**
+     * Creates a client for an org then, connects it to the Pub/Sub API.
+     * @param {string} orgId ID of the org (15 or 18 characters)
+     * @param {ClientConfiguration} [config] configuration of the client. Keys that are not supplied are read from environment variables.
+     * @param {UserSuppliedAuth} [userAuth] authentication information for the user-supplied authentication mode.
+     * When supplied, the client connects with `connectWithAuth(...)` instead of `connect()`.
+     * Otherwise, the client must authenticate with the org identified by `orgId`.
+     * @returns {Promise<PubSubApiClient>} Promise holding the connected client
+     */
+    async connect(orgId, config = {}, userAuth) {
+        const key = getOrgKey(orgId);
+        if (this.#clients.has(key) || this.#connectingOrgIds.has(key)) {
+            throw new Error(
+                `A client is already connected or connecting for org ${orgId}`
+            );
+        }
+        // Reserve the org so that concurrent calls don't create a second client
+        this.#connectingOrgIds.add(key);
+        let client;
+        try {
+            client = new PubSubApiClient(config, this.#logger);
+            if (userAuth) {
+                await client.connectWithAuth(
+                    userAuth.accessToken,
+                    userAuth.instanceUrl,
+                    orgId,
+                    userAuth.authRefreshCallback
+                );
+            } else {
+                await client.connect();
+                const connectedOrgId = client.getOrganizationId();
+                if (getOrgKey(connectedOrgId) !== key) {
+                    client.close();
+                    throw new Error(
+                        `Client authenticated with org ${connectedOrgId} instead of org ${orgId}`
+                    );
+                }
+            }
+        } catch (error) {
+            throw new Error(`Failed to connect client for org ${orgId}`, {
+                cause: error
+            });
+        } finally {
+            this.#connectingOrgIds.delete(key);
+        }
+        this.#clients.set(key, client);
+        this.emit('connected', { orgId: key });
+        return client;
+    }
+
+    /**
+     * Returns the client of an org
+     * @param {string} orgId ID of the org (15 or 18 characters)
+     * @returns {PubSubApiClient} the client or undefined if the pool doesn't hold a client for this org
+     */
+    getClient(orgId) {
+        return this.#clients.get(getOrgKey(orgId));
+    }
+
+    /**
+     * Returns the IDs of the orgs that have a client in the pool
+     * @returns {string[]} 15-character org IDs
+     */
+    getOrgIds() {
+        return [...this.#clients.keys()];
+    }
+
+    /**
+     * Subscribes to a topic of an org.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're subscribing to
+     * @param {number} numRequested number of events requested
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
+     * @returns {Promise<PubSubEventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
+     */
+    async subscribe(orgId, topicName, numRequested, subscribeOptions) {
+        const subscription = await this.#getConnectedClient(orgId).subscribe(
+            topicName,
+            numRequested,
+            subscribeOptions
+        );
+        return this.#forwardLifecycleEvents(orgId, subscription);
+    }
+
+    /**
+     * Subscribes to a topic of an org and retrieves all past events in retention window.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're subscribing to
+     * @param {number} numRequested number of events requested
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
+     * @returns {Promise<PubSubEventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
+     */
+    async subscribeFromEarliestEvent(
+        orgId,
+        topicName,
+        numRequested,
+        subscribeOptions
+    ) {
+        const subscription = await this.#getConnectedClient(
+            orgId
+        ).subscribeFromEarliestEvent(topicName, numRequested, subscribeOptions);
+        return this.#forwardLifecycleEvents(orgId, subscription);
+    }
+
+    /**
+     * Subscribes to a topic of an org and retrieves past events starting from a replay ID.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're subscribing to
+     * @param {number} numRequested number of events requested
+     * @param {number} replayId replay ID
+     * @param {SubscribeOptions} [subscribeOptions] optional subscription options
+     * @returns {Promise<PubSubEventEmitter>} Promise that holds an emitter that allows you to listen to received events and stream lifecycle events
+     */
+    async subscribeFromReplayId(
+        orgId,
+        topicName,
+        numRequested,
+        replayId,
+        subscribeOptions
+    ) {
+        const subscription = await this.#getConnectedClient(
+            orgId
+        ).subscribeFromReplayId(
+            topicName,
+            numRequested,
+            replayId,
+            subscribeOptions
+        );
+        return this.#forwardLifecycleEvents(orgId, subscription);
+    }
+
+    /**
+     * Publishes a payload to a topic of an org.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {Object} payload event payload
+     * @param {string} [correlationKey] optional correlation key. If you don't provide one, we'll generate a random UUID for you.
+     * @param {Object<string,string|Buffer>} [headers] optional event headers indexed by key
+     * @returns {Promise<PublishResult>} Promise holding a PublishResult object with replayId and correlationKey
+     */
+    async publish(orgId, topicName, payload, correlationKey, headers) {
+        return this.#getConnectedClient(orgId).publish(
+            topicName,
+            payload,
+            correlationKey,
+            headers
+        );
+    }
+
+    /**
+     * Publishes a batch of payloads to a topic of an org.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {Object[]} payloads event payloads
+     * @param {string[]} [correlationKeys] optional correlation keys matching the payloads by index. We'll generate random UUIDs for missing keys.
+     * @param {Object<string,string|Buffer>[]} [headers] optional event headers matching the payloads by index
+     * @returns {Promise<PublishResult[]>} Promise holding a PublishResult object for each payload, in the order returned by the Pub/Sub API
+     */
+    async publishBatch(orgId, topicName, payloads, correlationKeys, headers) {
+        return this.#getConnectedClient(orgId).publishBatch(
+            topicName,
+            payloads,
+            correlationKeys,
+            headers
+        );
+    }
+
+    /**
+     * Creates a long-lived publisher for a topic of an org.
+     * @param {string} orgId ID of the org
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {number} [maxPendingEvents] maximum number of events awaiting acknowledgement before the stream is full. Defaults to 100.
+     * @returns {Promise<PubSubPublishStream>} Promise holding a publisher that allows you to write events and listen to their acknowledgements
+     */
+    async createPublishStream(orgId, topicName, maxPendingEvents) {
+        return this.#getConnectedClient(orgId).createPublishStream(
+            topicName,
+            maxPendingEvents
+        );
+    }
+
+    /**
+     * Closes the client of an org and removes it from the pool.
+     * @param {string} orgId ID of the org
+     */
+    close(orgId) {
+        const key = getOrgKey(orgId);
+        const client = this.#clients.get(key);
+        if (!client) {
+            return;
+        }
+        this.#clients.delete(key);
+        client.close();
+        this.emit('closed', { orgId: key });
+    }
+
+    /**
+     * Closes the clients of all orgs and empties the pool.
+     */
+    closeAll() {
+        this.getOrgIds().forEach((orgId) => this.close(orgId));
+    }
+
+    /**
+     * Returns the client of an org or throws an error if the pool doesn't hold one
+     * @param {string} orgId ID of the org
+     * @returns {PubSubApiClient} the client
+     */
+    #getConnectedClient(orgId) {
+        const client = this.getClient(orgId);
+        if (!client) {
+            throw new Error(`No client is connected for org ${orgId}`);
+        }
+        return client;
+    }
+
+    /**
+     * Forwards the lifecycle events of a subscription to the pool listeners.
+     * Subscription errors are logged when the pool has no 'error' listener.
+     * @param {string} orgId ID of the org
+     * @param {PubSubEventEmitter} subscription emitter of the subscription
+     * @returns {PubSubEventEmitter} the subscription emitter
+     */
+    #forwardLifecycleEvents(orgId, subscription) {
+        /** @type {SubscriptionSource} */
+        const source = {
+            orgId: getOrgKey(orgId),
+            topicName: subscription.getTopicName(),
+            subscription
+        };
+        LIFECYCLE_EVENTS.forEach((eventName) => {
+            subscription.on(eventName, (...args) => {
+                if (
+                    eventName === 'error' &&
+                    this.listenerCount('error') === 0
+                ) {
+                    this.#logger.error(
+                        `Subscription error for topic ${source.topicName} of org ${source.orgId}`,
+                        ...args
+                    );
+                    return;
+                }
+                this.emit(eventName, source, ...args);
+            });
+        });
+        return subscription;
+    }
+}
+
+/**
+ * Validates an org ID and returns its 15-character form so that 15 and 18-character IDs share the same key.
+ * @param {string} orgId ID of the org
+ * @returns {string} 15-character org ID
+ * @private
+ */
+function getOrgKey(orgId) {
+    if (
+        typeof orgId !== 'string' ||
+        (orgId.length !== 15 && orgId.length !== 18)
+    ) {
+        throw new Error(`Invalid Salesforce Org ID format supplied: ${orgId}`);
+    }
+    return orgId.substring(0, 15);
+}
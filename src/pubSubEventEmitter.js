@@ -10,6 +10,28 @@ export default class PubSubEventEmitter extends EventEmitter {
     #topicName;
     #requestedEventCount;
     #receivedEventCount;
+    #filteredEventCount;
+    #lastReplayId;
+    #bufferedEventCount;
+    #isCancelled;
+
+    /**
+     * Whether the subscription stream terminated with an error
+     * @type {boolean}
+     */
+    #hasFailed;
+
+    /**
+     * Callback that the client uses to request more events once iterated events are consumed
+     * @type {Function}
+     */
+    #flowControlCallback;
+
+    /**
+     * gRPC subscription stream that this emitter reports events for
+     * @type {Object}
+     */
+    subscription;
 
     /**
      * Create a new EventEmitter for Pub/Sub API events
@@ -22,16 +44,185 @@ export default class PubSubEventEmitter extends EventEmitter {
         this.#topicName = topicName;
         this.#requestedEventCount = requestedEventCount;
         this.#receivedEventCount = 0;
+        this.#filteredEventCount = 0;
+        this.#bufferedEventCount = 0;
+        this.#isCancelled = false;
+        this.#hasFailed = false;
     }
 
     emit(eventName, args) {
-        // Track Pub/Sub API events
-        if (eventName === 'data') {
-            this.#receivedEventCount++;
+        // Track Pub/Sub API events. Events that failed to parse are only reported by dead-letter events.
+        if (
+            eventName === 'data' ||
+            eventName === 'filtered' ||
+            (eventName === 'deadletter' && args.reason === 'parse')
+        ) {
+            this.trackReceivedEvent(args.replayId);
+        }
+        if (eventName === 'filtered') {
+            this.#filteredEventCount++;
         }
         return super.emit(eventName, args);
     }
 
+    /**
+     * Counts an event as received without emitting it
+     * @param {number} replayId replay ID of the event
+     * @protected
+     */
+    trackReceivedEvent(replayId) {
+        this.#receivedEventCount++;
+        this.#lastReplayId = replayId;
+    }
+
+    /**
+     * Emits an error that terminated the subscription stream.
+     * Unlike errors related to a single event, these errors end async iterations.
+     * @param {Error} error error that terminated the subscription stream
+     * @protected
+     */
+    emitTerminalError(error) {
+        this.#hasFailed = true;
+        this.emit('error', error);
+    }
+
+    /**
+     * Returns an async iterator over the received events.
+     * An event is only considered consumed once the loop body finishes (when the next event is pulled)
+     * so that infinite subscriptions don't request more events than the loop can process.
+     * Iteration ends on 'end' or 'lastevent' (which infinite subscriptions never emit) and throws on errors
+     * that terminate the subscription stream. Errors related to a single event don't end the iteration.
+     * Breaking out of the loop or a failed iteration cancels the subscription.
+     * @returns {AsyncIterator<Object>} async iterator over parsed events
+     */
+    [Symbol.asyncIterator]() {
+        const queue = [];
+        let pendingPull = null;
+        let failure = null;
+        let isDone = false;
+        let hasEventInProgress = false;
+
+        const onData = (event) => {
+            queue.push(event);
+            this.#bufferedEventCount++;
+            settle();
+        };
+        const onEnd = () => {
+            isDone = true;
+            settle();
+        };
+        const onError = (error) => {
+            // Errors related to a single event are only reported to 'error' listeners
+            if (!this.#hasFailed) {
+                return;
+            }
+            failure = error;
+            settle();
+        };
+        const removeListeners = () => {
+            this.off('data', onData);
+            this.off('end', onEnd);
+            this.off('lastevent', onEnd);
+            this.off('error', onError);
+        };
+        // Release the events that the loop body will never consume
+        const discardQueue = () => {
+            this.#bufferedEventCount -= queue.length;
+            queue.length = 0;
+        };
+        // Resolve the pending pull with the next event, the end of iteration or an error
+        const settle = () => {
+            if (!pendingPull) {
+                return;
+            }
+            const { resolve, reject } = pendingPull;
+            if (queue.length > 0) {
+                pendingPull = null;
+                hasEventInProgress = true;
+                resolve({ value: queue.shift(), done: false });
+            } else if (failure) {
+                pendingPull = null;
+                removeListeners();
+                discardQueue();
+                // for await doesn't call return() when next() rejects
+                this.cancel();
+                reject(failure);
+            } else if (isDone) {
+                pendingPull = null;
+                removeListeners();
+                resolve({ value: undefined, done: true });
+            }
+        };
+        // Release the event handed to the loop body and let the client request more events
+        const completeEventInProgress = () => {
+            if (hasEventInProgress) {
+                hasEventInProgress = false;
+                this.#bufferedEventCount--;
+                this.#flowControlCallback?.();
+            }
+        };
+
+        this.on('data', onData);
+        this.on('end', onEnd);
+        this.on('lastevent', onEnd);
+        this.on('error', onError);
+
+        return {
+            next: () => {
+                completeEventInProgress();
+                return new Promise((resolve, reject) => {
+                    pendingPull = { resolve, reject };
+                    settle();
+                });
+            },
+            return: async () => {
+                completeEventInProgress();
+                removeListeners();
+                discardQueue();
+                if (!isDone && !failure) {
+                    this.cancel();
+                }
+                return { value: undefined, done: true };
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    /**
+     * Cancels the subscription. The emitter emits an 'end' event once the gRPC stream is closed.
+     */
+    cancel() {
+        this.#isCancelled = true;
+        this.subscription?.cancel();
+    }
+
+    /**
+     * Returns whether the subscription was cancelled
+     * @returns {boolean} true if the subscription was cancelled
+     */
+    isCancelled() {
+        return this.#isCancelled;
+    }
+
+    /**
+     * Returns the number of events that were received but not consumed yet by an async iterator
+     * @returns {number} the number of buffered events
+     */
+    getBufferedEventCount() {
+        return this.#bufferedEventCount;
+    }
+
+    /**
+     * Sets the callback that is called when an async iterator consumes an event
+     * @param {Function} flowControlCallback
+     * @protected
+     */
+    setFlowControlCallback(flowControlCallback) {
+        this.#flowControlCallback = flowControlCallback;
+    }
+
     /**
      * Returns the number of events that were requested during the subscription
      * @returns {number} the number of events that were requested
@@ -48,6 +239,33 @@ export default class PubSubEventEmitter extends EventEmitter {
         return this.#receivedEventCount;
     }
 
+    /**
+     * Returns the number of received events that didn't match the subscription filter
+     * @returns {number} the number of filtered events
+     */
+    getFilteredEventCount() {
+        return this.#filteredEventCount;
+    }
+
+    /**
+     * Returns the number of received events that matched the subscription filter and were delivered
+     * @returns {number} the number of delivered events
+     */
+    getDeliveredEventCount() {
+        return this.#receivedEventCount - this.#filteredEventCount;
+    }
+
+    /**
+     * Returns the number of requested events that were not received yet
+     * @returns {number} the number of pending events
+     */
+    getPendingEventCount() {
+        return Math.max(
+            this.#requestedEventCount - this.#receivedEventCount,
+            0
+        );
+    }
+
     /**
      * Returns the topic name for this subscription
      * @returns {string} the topic name
@@ -56,10 +274,42 @@ export default class PubSubEventEmitter extends EventEmitter {
         return this.#topicName;
     }
 
+    /**
+     * Returns the replay ID of the last event that was received
+     * @returns {number} the last replay ID or undefined if no events were received yet
+     */
+    getLastReplayId() {
+        return this.#lastReplayId;
+    }
+
     /**
      * Sets the number of events that were requested during the subscription
+     * @param {number} requestedEventCount
      */
     setRequestedEventCount(requestedEventCount) {
         this.#requestedEventCount = requestedEventCount;
     }
+
+    /**
+     * Requests additional events on the live subscription.
+     * The 'lastevent' event is emitted once all events requested so far (including these) are received.
+     * @param {number} numRequested number of additional events requested
+     */
+    requestAdditionalEvents(numRequested) {
+        if (!Number.isInteger(numRequested) || numRequested < 1) {
+            throw new Error(
+                `Invalid number of additional events requested: ${numRequested}`
+            );
+        }
+        if (!this.subscription) {
+            throw new Error(
+                `No active subscription for topic ${this.#topicName}`
+            );
+        }
+        this.subscription.write({
+            topicName: this.#topicName,
+            numRequested
+        });
+        this.setRequestedEventCount(this.#requestedEventCount + numRequested);
+    }
 }
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { encodeEventHeaders, parsePublishResult } from './utils/eventParser.js';
+import { encodePayload } from './utils/avroHelper.js';
+
+/**
+ * Default maximum number of events awaiting acknowledgement before the publish stream is full.
+ * @private
+ */
+const DEFAULT_MAX_PENDING_EVENTS = 100;
+
+/**
+ * Long-lived publisher built on the PublishStream gRPC method.
+ * Each written event is acknowledged asynchronously by the Pub/Sub API and matched back to its write via the correlation key.
+ * @alias PubSubPublishStream
+ * @global
+ */
+export default class PubSubPublishStream extends EventEmitter {
+    #topicName;
+    #stream;
+    #schema;
+    #maxPendingEvents;
+
+    /**
+     * Deferred write results indexed by correlation key
+     * @type {Map<string,{resolve: Function, reject: Function, promise: Promise<PublishResult>}>}
+     */
+    #pendingEvents;
+
+    /**
+     * Whether the gRPC stream asked us to wait for a 'drain' event before writing more data
+     * @type {boolean}
+     */
+    #isStreamSaturated;
+
+    /**
+     * Whether the caller was told that the publisher is full and is waiting for a 'drain' event
+     * @type {boolean}
+     */
+    #needsDrain;
+
+    /**
+     * Whether the caller closed the stream
+     * @type {boolean}
+     */
+    #isClosed;
+
+    /**
+     * Error or end that terminated the gRPC stream
+     * @type {Error}
+     */
+    #terminationError;
+
+    /**
+     * Latest schema ID of the topic reported by the Pub/Sub API
+     * @type {string}
+     */
+    #latestSchemaId;
+
+    /**
+     * Create a new publisher for a PublishStream gRPC stream
+     * @param {string} topicName name of the topic that we're publishing to
+     * @param {Object} stream PublishStream gRPC stream
+     * @param {Schema} schema schema of the topic
+     * @param {number} [maxPendingEvents] maximum number of events awaiting acknowledgement before the publisher is full
+     * @protected
+     */
+    constructor(
+        topicName,
+        stream,
+        schema,
+        maxPendingEvents = DEFAULT_MAX_PENDING_EVENTS
+    ) {
+        super();
+        this.#topicName = topicName;
+        this.#stream = stream;
+        this.#schema = schema;
+        this.#latestSchemaId = schema.id;
+        this.#maxPendingEvents = maxPendingEvents;
+        this.#pendingEvents = new Map();
+        this.#isStreamSaturated = false;
+        this.#needsDrain = false;
+        this.#isClosed = false;
+
+        stream.on('data', (response) => {
+            if (
+                response.schemaId &&
+                response.schemaId !== this.#latestSchemaId
+            ) {
+                const previousSchemaId = this.#latestSchemaId;
+                this.#latestSchemaId = response.schemaId;
+                this.emit('schemachange', response.schemaId, previousSchemaId);
+            }
+            (response.results ?? []).forEach((rawResult) => {
+                const result = parsePublishResult(rawResult);
+                const deferred = this.#pendingEvents.get(result.correlationKey);
+                if (!deferred) {
+                    return;
+                }
+                this.#pendingEvents.delete(result.correlationKey);
+                if (result.error) {
+                    deferred.reject(result.error);
+                } else {
+                    deferred.resolve(result);
+                }
+                this.emit('result', result);
+            });
+            this.#checkDrain();
+        });
+        stream.on('drain', () => {
+            this.#isStreamSaturated = false;
+            this.#checkDrain();
+        });
+        stream.on('error', (error) => {
+            // Ignore errors such as cancellations that occur after the caller closed the stream
+            if (this.#isClosed) {
+                return;
+            }
+            this.#terminate(error);
+            this.emit('error', error);
+        });
+        stream.on('end', () => {
+            this.#terminate(
+                new Error(`Publish stream ended for topic ${this.#topicName}`)
+            );
+            this.emit('end');
+        });
+        stream.on('status', (status) => {
+            this.emit('status', status);
+        });
+    }
+
+    /**
+     * Publishes a payload on the stream.
+     * Check isFull() before writing and wait for the 'drain' event when it returns true to apply backpressure.
+     * @param {Object} payload event payload
+     * @param {string} [correlationKey] optional correlation key. If you don't provide one, we'll generate a random UUID for you.
+     * @param {Object<string,string|Buffer>} [headers] optional event headers indexed by key
+     * @returns {Promise<PublishResult>} Promise that resolves with the PublishResult once the event is acknowledged,
+     * or rejects with a PublishError if the Pub/Sub API fails to publish it
+     * or with a PayloadValidationError if the payload doesn't match the topic schema.
+     */
+    async write(payload, correlationKey, headers) {
+        if (this.#terminationError) {
+            throw new Error(
+                `Cannot publish on a closed stream for topic ${this.#topicName}`,
+                { cause: this.#terminationError }
+            );
+        }
+        const id = correlationKey ? correlationKey : crypto.randomUUID();
+        if (this.#pendingEvents.has(id)) {
+            throw new Error(
+                `An event with correlation key ${id} is already awaiting acknowledgement`
+            );
+        }
+        const publishRequest = {
+            topicName: this.#topicName,
+            events: [
+                {
+                    id, // Correlation key
+                    schemaId: this.#schema.id,
+                    payload: encodePayload(
+                        this.#topicName,
+                        this.#schema,
+                        payload
+                    ),
+                    headers: encodeEventHeaders(headers)
+                }
+            ]
+        };
+        let deferred;
+        const result = new Promise((resolve, reject) => {
+            deferred = { resolve, reject };
+        });
+        deferred.promise = result;
+        this.#pendingEvents.set(id, deferred);
+        if (!this.#stream.write(publishRequest)) {
+            this.#isStreamSaturated = true;
+        }
+        if (this.isFull()) {
+            this.#needsDrain = true;
+        }
+        return result;
+    }
+
+    /**
+     * Returns whether the publisher is full. When full, wait for the 'drain' event before writing more events.
+     * @returns {boolean} true if the publisher has too many events awaiting acknowledgement or if the gRPC stream is saturated
+     */
+    isFull() {
+        return (
+            this.#isStreamSaturated ||
+            this.#pendingEvents.size >= this.#maxPendingEvents
+        );
+    }
+
+    /**
+     * Returns the number of events that were written but not acknowledged yet
+     * @returns {number} the number of events awaiting acknowledgement
+     */
+    getPendingEventCount() {
+        return this.#pendingEvents.size;
+    }
+
+    /**
+     * Returns the topic name for this publisher
+     * @returns {string} the topic name
+     */
+    getTopicName() {
+        return this.#topicName;
+    }
+
+    /**
+     * Returns the ID of the schema used to encode the events written on the stream
+     * @returns {string} the schema ID
+     */
+    getSchemaId() {
+        return this.#schema.id;
+    }
+
+    /**
+     * Waits for all pending events to be acknowledged then, ends the stream.
+     * @returns {Promise<void>} Promise that resolves once the end of the stream is signaled to the server
+     */
+    async close() {
+        await Promise.allSettled(
+            [...this.#pendingEvents.values()].map(
+                (deferred) => deferred.promise
+            )
+        );
+        this.#isClosed = true;
+        this.#stream.end();
+        this.#terminate(
+            new Error(`Publish stream closed for topic ${this.#topicName}`)
+        );
+    }
+
+    /**
+     * Sends a new access token on the stream so that it outlives the session that opened it
+     * @param {string} accessToken new access token
+     * @returns {boolean} true if the token was sent, false if the stream is terminated
+     * @protected
+     */
+    refreshAuth(accessToken) {
+        if (this.#terminationError) {
+            return false;
+        }
+        this.#stream.write({
+            topicName: this.#topicName,
+            authRefresh: accessToken
+        });
+        return true;
+    }
+
+    /**
+     * Replaces the schema used to encode the next events written on the stream.
+     * Outdated schemas are ignored when the topic schema changed again in the meantime.
+     * @param {Schema} schema new schema of the topic
+     * @returns {boolean} true if the schema was replaced, false if it's outdated
+     * @protected
+     */
+    setSchema(schema) {
+        if (schema.id !== this.#latestSchemaId) {
+            return false;
+        }
+        this.#schema = schema;
+        return true;
+    }
+
+    /**
+     * Emits a 'drain' event when the publisher is no longer full after having been full
+     */
+    #checkDrain() {
+        if (this.#needsDrain && !this.isFull()) {
+            this.#needsDrain = false;
+            this.emit('drain');
+        }
+    }
+
+    /**
+     * Rejects all events awaiting acknowledgement after the stream terminated
+     * @param {Error} error cause of the termination
+     */
+    #terminate(error) {
+        if (this.#terminationError) {
+            return;
+        }
+        this.#terminationError = error;
+        this.#pendingEvents.forEach((deferred) => deferred.reject(error));
+        this.#pendingEvents.clear();
+    }
+}
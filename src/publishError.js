@@ -0,0 +1,39 @@
+/**
+ * Names of the error codes defined by the ErrorCode enum of the Pub/Sub API.
+ * @private
+ */
+const ERROR_CODE_NAMES = ['UNKNOWN', 'PUBLISH'];
+
+/**
+ * Holds the information related to an event that the Pub/Sub API failed to publish.
+ * @alias PublishError
+ * @global
+ */
+export default class PublishError extends Error {
+    /**
+     * The error code reported by the Pub/Sub API (UNKNOWN or PUBLISH).
+     * @type {string}
+     * @public
+     */
+    code;
+
+    /**
+     * The correlation key of the event that failed to publish.
+     * @type {string}
+     * @public
+     */
+    correlationKey;
+
+    /**
+     * Builds a new PublishError error.
+     * @param {string} message The error message reported by the Pub/Sub API.
+     * @param {number|string} code The error code reported by the Pub/Sub API.
+     * @param {string} correlationKey The correlation key of the event that failed to publish.
+     * @protected
+     */
+    constructor(message, code, correlationKey) {
+        super(message);
+        this.code = ERROR_CODE_NAMES[code] ?? String(code);
+        this.correlationKey = correlationKey;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * @callback DeadLetterPayloadMapper
+ * @param {DeadLetter} deadLetter dead-lettered event
+ * @returns {Object} payload of the event published to the dead-letter topic
+ * @global
+ */
+
+/**
+ * Dead-letter sink that publishes dead-lettered events to another topic (for instance a dedicated platform event).
+ * A mapper builds the payload of the published event from the dead-lettered event so that it matches the schema of the topic.
+ * @alias TopicDeadLetterSink
+ * @global
+ */
+export default class TopicDeadLetterSink {
+    /**
+     * Client used to publish dead-lettered events
+     * @type {PubSubApiClient}
+     */
+    #client;
+
+    /**
+     * Name of the dead-letter topic
+     * @type {string}
+     */
+    #topicName;
+
+    /**
+     * Mapper that builds the payload of the published events
+     * @type {DeadLetterPayloadMapper}
+     */
+    #toPayload;
+
+    /**
+     * Builds a new topic dead-letter sink
+     * @param {PubSubApiClient} client connected client used to publish dead-lettered events
+     * @param {string} topicName name of the dead-letter topic. It must differ from the topics that are dead-lettered.
+     * @param {DeadLetterPayloadMapper} toPayload mapper that builds the payload of the published event from a dead-lettered event
+     */
+    constructor(client, topicName, toPayload) {
+        if (!client || !topicName) {
+            throw new Error(
+                'Missing client or topic name for topic dead-letter sink'
+            );
+        }
+        if (typeof toPayload !== 'function') {
+            throw new Error(
+                'Missing payload mapper for topic dead-letter sink'
+            );
+        }
+        this.#client = client;
+        this.#topicName = topicName;
+        this.#toPayload = toPayload;
+    }
+
+    /**
+     * Publishes a dead-lettered event to the dead-letter topic
+     * @param {DeadLetter} deadLetter dead-lettered event
+     * @returns {Promise<void>} Promise that resolves once the event is published
+     */
+    async write(deadLetter) {
+        await this.#client.publish(
+            this.#topicName,
+            this.#toPayload(deadLetter)
+        );
+    }
+}
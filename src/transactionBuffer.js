@@ -0,0 +1,105 @@
+/**
+ * @typedef {Object} ChangeTransaction
+ * @property {string} transactionKey unique key of the transaction
+ * @property {Object[]} events parsed change events of the transaction ordered by sequence number
+ * @property {ChangeEvent[]} changes changes of the transaction ordered by sequence number
+ * @property {boolean} isComplete true if the transaction was closed by an event of another transaction
+ * and its sequence numbers have no gaps. False if it was emitted after a timeout or at the end of the subscription.
+ * @property {boolean} hasGaps true if the transaction holds gap events (`GAP_*` or `GAP_OVERFLOW` change types).
+ * The records of these events must be queried to retrieve their current state.
+ * @global
+ */
+
+/**
+ * Buffers Change Data Capture events by transaction key and reassembles their transactions.
+ * Salesforce delivers the events of a transaction one after the other so a transaction is closed
+ * when an event of another transaction is received. Transactions that receive no event
+ * for the duration of the timeout are emitted as incomplete.
+ * @protected
+ */
+export default class TransactionBuffer {
+    /**
+     * Parsed events of the open transactions indexed by transaction key
+     * @type {Map<string,{events: Object[], timer: NodeJS.Timeout}>}
+     */
+    #transactions;
+
+    #timeout;
+
+    /**
+     * Callback that receives reassembled transactions
+     * @type {function(ChangeTransaction):void}
+     */
+    #onTransaction;
+
+    /**
+     * Builds a new transaction buffer
+     * @param {number} timeout time in milliseconds after which a transaction that receives no event is emitted as incomplete
+     * @param {function(ChangeTransaction):void} onTransaction callback that receives reassembled transactions
+     */
+    constructor(timeout, onTransaction) {
+        this.#transactions = new Map();
+        this.#timeout = timeout;
+        this.#onTransaction = onTransaction;
+    }
+
+    /**
+     * Adds a parsed change event to its transaction and closes the other open transactions
+     * @param {Object} parsedEvent parsed event holding a ChangeEvent
+     */
+    add(parsedEvent) {
+        const { transactionKey } = parsedEvent.changeEvent;
+        [...this.#transactions.keys()]
+            .filter((key) => key !== transactionKey)
+            .forEach((key) => this.#emit(key, true));
+        let transaction = this.#transactions.get(transactionKey);
+        if (transaction) {
+            clearTimeout(transaction.timer);
+        } else {
+            transaction = { events: [] };
+            this.#transactions.set(transactionKey, transaction);
+        }
+        transaction.events.push(parsedEvent);
+        transaction.timer = setTimeout(
+            () => this.#emit(transactionKey, false),
+            this.#timeout
+        );
+        // Don't let pending transactions keep the process alive
+        transaction.timer.unref();
+    }
+
+    /**
+     * Emits all open transactions as incomplete
+     */
+    flush() {
+        [...this.#transactions.keys()].forEach((key) => this.#emit(key, false));
+    }
+
+    /**
+     * Emits a transaction and removes it from the buffer
+     * @param {string} transactionKey key of the transaction
+     * @param {boolean} isClosed whether the transaction was closed by an event of another transaction
+     */
+    #emit(transactionKey, isClosed) {
+        const { events, timer } = this.#transactions.get(transactionKey);
+        clearTimeout(timer);
+        this.#transactions.delete(transactionKey);
+        events.sort(
+            (event1, event2) =>
+                event1.changeEvent.sequenceNumber -
+                event2.changeEvent.sequenceNumber
+        );
+        const changes = events.map((event) => event.changeEvent);
+        this.#onTransaction({
+            transactionKey,
+            events,
+            changes,
+            isComplete:
+                isClosed &&
+                changes.every(
+                    (change, index) => change.sequenceNumber === index + 1
+                ),
+            hasGaps: changes.some((change) => change.isGap())
+        });
+    }
+}
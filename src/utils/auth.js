@@ -1,7 +1,6 @@
 import crypto from 'crypto';
 import jsforce from 'jsforce';
 import { fetch } from 'undici';
-import Configuration from './configuration.js';
 
 /**
  * @typedef {Object} ConnectionMetadata
@@ -14,15 +13,20 @@ import Configuration from './configuration.js';
 export default class SalesforceAuth {
     /**
      * Authenticates with the auth mode specified in configuration
+     * @param {import('./configuration.js').default} configuration client configuration
      * @returns {ConnectionMetadata}
      */
-    static async authenticate() {
-        if (Configuration.isUsernamePasswordAuth()) {
-            return SalesforceAuth.#authWithUsernamePassword();
-        } else if (Configuration.isOAuthClientCredentialsAuth()) {
-            return SalesforceAuth.#authWithOAuthClientCredentials();
-        } else if (Configuration.isOAuthJwtBearerAuth()) {
-            return SalesforceAuth.#authWithJwtBearer();
+    static async authenticate(configuration) {
+        if (configuration.isUsernamePasswordAuth()) {
+            return SalesforceAuth.#authWithUsernamePassword(configuration);
+        } else if (configuration.isOAuthClientCredentialsAuth()) {
+            return SalesforceAuth.#authWithOAuthClientCredentials(
+                configuration
+            );
+        } else if (configuration.isOAuthJwtBearerAuth()) {
+            return SalesforceAuth.#authWithJwtBearer(configuration);
+        } else if (configuration.isOAuthRefreshTokenAuth()) {
+            return SalesforceAuth.#authWithOAuthRefreshToken(configuration);
         } else {
             throw new Error('Unsupported authentication mode.');
         }
@@ -30,47 +34,66 @@ export default class SalesforceAuth {
 
     /**
      * Authenticates with the username/password flow
+     * @param {import('./configuration.js').default} configuration client configuration
      * @returns {ConnectionMetadata}
      */
-    static async #authWithUsernamePassword() {
+    static async #authWithUsernamePassword(configuration) {
         const sfConnection = new jsforce.Connection({
-            loginUrl: Configuration.getSfLoginUrl()
+            loginUrl: configuration.getSfLoginUrl()
         });
         await sfConnection.login(
-            Configuration.getSfUsername(),
-            Configuration.getSfSecuredPassword()
+            configuration.getSfUsername(),
+            configuration.getSfSecuredPassword()
         );
         return {
             accessToken: sfConnection.accessToken,
             instanceUrl: sfConnection.instanceUrl,
             organizationId: sfConnection.userInfo.organizationId,
-            username: Configuration.getSfUsername()
+            username: configuration.getSfUsername()
         };
     }
 
     /**
      * Authenticates with the OAuth 2.0 client credentials flow
+     * @param {import('./configuration.js').default} configuration client configuration
      * @returns {ConnectionMetadata}
      */
-    static async #authWithOAuthClientCredentials() {
+    static async #authWithOAuthClientCredentials(configuration) {
         const params = new URLSearchParams();
         params.append('grant_type', 'client_credentials');
-        params.append('client_id', Configuration.getSfClientId());
-        params.append('client_secret', Configuration.getSfClientSecret());
-        return SalesforceAuth.#authWithOAuth(params.toString());
+        params.append('client_id', configuration.getSfClientId());
+        params.append('client_secret', configuration.getSfClientSecret());
+        return SalesforceAuth.#authWithOAuth(configuration, params.toString());
+    }
+
+    /**
+     * Authenticates with the OAuth 2.0 refresh token flow
+     * @param {import('./configuration.js').default} configuration client configuration
+     * @returns {ConnectionMetadata}
+     */
+    static async #authWithOAuthRefreshToken(configuration) {
+        const params = new URLSearchParams();
+        params.append('grant_type', 'refresh_token');
+        params.append('client_id', configuration.getSfClientId());
+        if (configuration.getSfClientSecret()) {
+            params.append('client_secret', configuration.getSfClientSecret());
+        }
+        params.append('refresh_token', configuration.getSfRefreshToken());
+        return SalesforceAuth.#authWithOAuth(configuration, params.toString());
     }
 
     /**
      * Authenticates with the OAuth 2.0 JWT bearer flow
+     * @param {import('./configuration.js').default} configuration client configuration
      * @returns {ConnectionMetadata}
      */
-    static async #authWithJwtBearer() {
+    static async #authWithJwtBearer(configuration) {
         // Prepare token
         const header = JSON.stringify({ alg: 'RS256' });
         const claims = JSON.stringify({
-            iss: Configuration.getSfClientId(),
-            sub: Configuration.getSfUsername(),
-            aud: Configuration.getSfLoginUrl(),
+            iss: configuration.getSfClientId(),
+            sub: configuration.getSfUsername(),
+            aud: configuration.getSfLoginUrl(),
             exp: Math.floor(Date.now() / 1000) + 60 * 5
         });
         let token = `${base64url(header)}.${base64url(claims)}`;
@@ -78,21 +101,22 @@ export default class SalesforceAuth {
         const sign = crypto.createSign('RSA-SHA256');
         sign.update(token);
         sign.end();
-        token += `.${base64url(sign.sign(Configuration.getSfPrivateKey()))}`;
+        token += `.${base64url(sign.sign(configuration.getSfPrivateKey()))}`;
         // Log in
         const body = `grant_type=urn:ietf:params:oauth:grant-type:jwt-bearer&assertion=${token}`;
-        return SalesforceAuth.#authWithOAuth(body);
+        return SalesforceAuth.#authWithOAuth(configuration, body);
     }
 
     /**
      * Generic OAuth 2.0 connect method
+     * @param {import('./configuration.js').default} configuration client configuration
      * @param {string} body URL encoded body
      * @returns {ConnectionMetadata} connection metadata
      */
-    static async #authWithOAuth(body) {
+    static async #authWithOAuth(configuration, body) {
         // Log in
         const loginResponse = await fetch(
-            `${Configuration.getSfLoginUrl()}/services/oauth2/token`,
+            `${configuration.getSfLoginUrl()}/services/oauth2/token`,
             {
                 method: 'post',
                 headers: {
@@ -108,10 +132,22 @@ export default class SalesforceAuth {
                 } - ${await loginResponse.text()}`
             );
         }
-        const { access_token, instance_url } = await loginResponse.json();
+        const { access_token, instance_url, refresh_token } =
+            await loginResponse.json();
+        // Keep the latest refresh token when refresh token rotation is enabled
+        if (
+            refresh_token &&
+            refresh_token !== configuration.getSfRefreshToken()
+        ) {
+            configuration.setSfRefreshToken(refresh_token);
+            await SalesforceAuth.#notifyRefreshTokenRotated(
+                configuration,
+                refresh_token
+            );
+        }
         // Get org and user info
         const userInfoResponse = await fetch(
-            `${Configuration.getSfLoginUrl()}/services/oauth2/userinfo`,
+            `${configuration.getSfLoginUrl()}/services/oauth2/userinfo`,
             {
                 headers: { authorization: `Bearer ${access_token}` }
             }
@@ -132,6 +168,25 @@ export default class SalesforceAuth {
             username: preferred_username
         };
     }
+
+    /**
+     * Passes a rotated refresh token to the user-supplied callback so that it can be persisted
+     * @param {import('./configuration.js').default} configuration client configuration
+     * @param {string} refreshToken new refresh token
+     */
+    static async #notifyRefreshTokenRotated(configuration, refreshToken) {
+        const callback = configuration.getRefreshTokenRotatedCallback();
+        if (!callback) {
+            return;
+        }
+        try {
+            await callback(refreshToken);
+        } catch (error) {
+            throw new Error('Failed to save rotated refresh token', {
+                cause: error
+            });
+        }
+    }
 }
 
 function base64url(input) {
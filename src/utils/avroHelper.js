@@ -0,0 +1,376 @@
+import avro from 'avro-js';
+import PayloadValidationError from '../payloadValidationError.js';
+
+/**
+ * Number of milliseconds in a day
+ * @private
+ */
+const MS_PER_DAY = 86400000;
+
+/**
+ * Salesforce type hints found in the `doc` attribute of schema fields (e.g. `CreatedDate:DateTime`)
+ * @private
+ */
+const SF_DATETIME_DOC = /:DateTime$/,
+    SF_DATE_DOC = /:Date$/;
+
+/**
+ * @typedef {Object} TypeConversions
+ * @property {boolean} [dates] when true, datetime and date fields are converted to `Date` objects.
+ * @property {string} [longs] representation of long values: `number` (default, large values are returned as BigInt),
+ * `bigint` or `string`.
+ * @global
+ */
+
+/**
+ * Creates a custom Long Avro type that uses BigInt for serialization.
+ * This fixes a deserialization bug with Avro not supporting large values.
+ * @param {Function} fromBigInt converts a deserialized BigInt into the value that is returned
+ * @returns {Object} Avro long type
+ * @private
+ */
+function createLongAvroType(fromBigInt) {
+    return avro.types.LongType.using({
+        fromBuffer: (buf) => fromBigInt(buf.readBigInt64LE()),
+        toBuffer: (n) => {
+            const buf = Buffer.allocUnsafe(8);
+            buf.writeBigInt64LE(BigInt(n));
+            return buf;
+        },
+        fromJSON: (json) => fromBigInt(BigInt(json)),
+        toJSON: Number,
+        isValid: (n) => {
+            const type = typeof n;
+            return (
+                (type === 'number' && n % 1 === 0) ||
+                type === 'bigint' ||
+                (type === 'string' && /^-?\d+$/.test(n))
+            );
+        },
+        compare: (n1, n2) => {
+            const big1 = BigInt(n1);
+            const big2 = BigInt(n2);
+            return big1 === big2 ? 0 : big1 < big2 ? -1 : 1;
+        }
+    });
+}
+
+/**
+ * Custom Long Avro types indexed by the value of the `longs` conversion
+ * @private
+ */
+const LONG_AVRO_TYPES = {
+    // Numbers that are safe integers, BigInt otherwise
+    number: createLongAvroType((big) =>
+        big < Number.MIN_SAFE_INTEGER || big > Number.MAX_SAFE_INTEGER
+            ? big
+            : Number(big)
+    ),
+    bigint: createLongAvroType((big) => big),
+    string: createLongAvroType((big) => big.toString())
+};
+
+/**
+ * Avro logical type that maps epoch milliseconds to Date objects.
+ * Used for `timestamp-millis` fields and Salesforce datetime fields.
+ * @private
+ */
+class DateTimeType extends avro.types.LogicalType {
+    _fromValue(val) {
+        return new Date(Number(val));
+    }
+
+    _toValue(any) {
+        return any instanceof Date ? any.getTime() : any;
+    }
+}
+
+/**
+ * Avro logical type that maps dates to Date objects at midnight UTC.
+ * Dates are stored as a number of days when the underlying type is an int
+ * and as epoch milliseconds when it's a long.
+ * @private
+ */
+class DateType extends avro.types.LogicalType {
+    _fromValue(val) {
+        return new Date(this.#isDays() ? val * MS_PER_DAY : Number(val));
+    }
+
+    _toValue(any) {
+        if (!(any instanceof Date)) {
+            return any;
+        }
+        return this.#isDays()
+            ? Math.floor(any.getTime() / MS_PER_DAY)
+            : any.getTime();
+    }
+
+    #isDays() {
+        return this.getUnderlyingType() instanceof avro.types.IntType;
+    }
+}
+
+/**
+ * Parses an Avro schema with support for large long values and optional type conversions
+ * @param {string|Object} schemaJson Avro schema as a JSON string or object
+ * @param {TypeConversions} [conversions] optional type conversions
+ * @returns {Object} Avro type
+ * @protected
+ */
+export function parseAvroSchema(schemaJson, conversions = {}) {
+    const longType = LONG_AVRO_TYPES[conversions.longs ?? 'number'];
+    if (!conversions.dates) {
+        return avro.parse(schemaJson, { registry: { long: longType } });
+    }
+    const schema =
+        typeof schemaJson === 'string' ? JSON.parse(schemaJson) : schemaJson;
+    return avro.parse(addDateLogicalTypes(schema), {
+        registry: { long: longType },
+        logicalTypes: { 'timestamp-millis': DateTimeType, date: DateType }
+    });
+}
+
+/**
+ * Adds date logical types to the fields that carry a Salesforce datetime or date hint in their `doc` attribute.
+ * The schema is copied and left unchanged.
+ * @param {any} schema Avro schema
+ * @param {string} [logicalType] logical type to apply to the primitive types of the schema
+ * @returns {any} schema with date logical types
+ * @private
+ */
+function addDateLogicalTypes(schema, logicalType) {
+    if (Array.isArray(schema)) {
+        return schema.map((branch) => addDateLogicalTypes(branch, logicalType));
+    }
+    if (typeof schema === 'string') {
+        return logicalType && (schema === 'long' || schema === 'int')
+            ? { type: schema, logicalType }
+            : schema;
+    }
+    if (schema === null || typeof schema !== 'object') {
+        return schema;
+    }
+    switch (schema.type) {
+        case 'record':
+        case 'error':
+            return {
+                ...schema,
+                fields: schema.fields.map((field) => ({
+                    ...field,
+                    type: addDateLogicalTypes(
+                        field.type,
+                        getDateLogicalType(field.doc)
+                    )
+                }))
+            };
+        case 'array':
+            return { ...schema, items: addDateLogicalTypes(schema.items) };
+        case 'map':
+            return { ...schema, values: addDateLogicalTypes(schema.values) };
+        case 'long':
+        case 'int':
+            return logicalType && !schema.logicalType
+                ? { ...schema, logicalType }
+                : schema;
+        default:
+            return schema;
+    }
+}
+
+/**
+ * Returns the logical type matching the Salesforce type hint of a field
+ * @param {string} [doc] `doc` attribute of the field
+ * @returns {string} logical type or undefined if the field isn't a datetime or a date
+ * @private
+ */
+function getDateLogicalType(doc) {
+    if (SF_DATETIME_DOC.test(doc)) {
+        return 'timestamp-millis';
+    }
+    if (SF_DATE_DOC.test(doc)) {
+        return 'date';
+    }
+    return undefined;
+}
+
+/**
+ * Validates a payload against an Avro type and collects the offending fields.
+ * @param {Object} type Avro type
+ * @param {Object} payload payload to validate
+ * @returns {FieldValidationError[]} field errors (empty if the payload is valid)
+ * @protected
+ */
+export function validateAvroPayload(type, payload) {
+    const fieldErrors = [];
+    type.isValid(payload, {
+        errorHook: (path, value, fieldType) => {
+            fieldErrors.push({
+                path: path.join('.'),
+                expectedType: describeAvroType(fieldType),
+                value
+            });
+        }
+    });
+    return fieldErrors;
+}
+
+/**
+ * Validates a payload against the schema of a topic then, encodes it.
+ * @param {string} topicName name of the topic
+ * @param {Schema} schema schema of the topic
+ * @param {Object} payload payload to encode
+ * @returns {Buffer} encoded payload
+ * @throws {PayloadValidationError} if the payload doesn't match the schema
+ * @protected
+ */
+export function encodePayload(topicName, schema, payload) {
+    const wrappedPayload = wrapUnionValues(schema.type, payload);
+    const fieldErrors = validateAvroPayload(schema.type, wrappedPayload);
+    if (fieldErrors.length > 0) {
+        throw new PayloadValidationError(topicName, fieldErrors);
+    }
+    return schema.type.toBuffer(wrappedPayload);
+}
+
+/**
+ * Wraps plain values into the Avro union branches expected by a type.
+ * This accepts the flattened payloads produced by parseEvent.
+ * For example: { city: 'SFO' } becomes { city: { string: 'SFO' } }
+ * Values that are already wrapped are kept as is.
+ * @param {Object} type Avro type
+ * @param {any} value value to wrap
+ * @returns {any} value with union wrappers
+ * @protected
+ */
+export function wrapUnionValues(type, value) {
+    if (type instanceof avro.types.UnionType) {
+        return wrapUnionValue(type, value);
+    }
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (type instanceof avro.types.RecordType) {
+        const fields = type.getFields();
+        // Records with a single field are flattened by parseEvent
+        if (
+            fields.length === 1 &&
+            !(isPlainObject(value) && fields[0].getName() in value)
+        ) {
+            return {
+                [fields[0].getName()]: wrapUnionValues(
+                    fields[0].getType(),
+                    value
+                )
+            };
+        }
+        if (!isPlainObject(value)) {
+            return value;
+        }
+        const wrappedRecord = { ...value };
+        fields.forEach((field) => {
+            const name = field.getName();
+            if (name in value) {
+                wrappedRecord[name] = wrapUnionValues(
+                    field.getType(),
+                    value[name]
+                );
+            }
+        });
+        return wrappedRecord;
+    }
+    if (type instanceof avro.types.ArrayType && Array.isArray(value)) {
+        return value.map((item) => wrapUnionValues(type.getItemsType(), item));
+    }
+    if (type instanceof avro.types.MapType && isPlainObject(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [
+                key,
+                wrapUnionValues(type.getValuesType(), item)
+            ])
+        );
+    }
+    return value;
+}
+
+/**
+ * Wraps a value into the first union branch that accepts it.
+ * @param {Object} type Avro union type
+ * @param {any} value value to wrap
+ * @returns {any} wrapped value or the original value if no branch accepts it
+ * @private
+ */
+function wrapUnionValue(type, value) {
+    // Null values don't need a wrapper and undefined values fall back to the field default
+    if (value === null || value === undefined) {
+        return value;
+    }
+    const branches = type.getTypes();
+    // Keep values that are already wrapped
+    if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        const branch =
+            keys.length === 1 &&
+            branches.find((candidate) => getBranchName(candidate) === keys[0]);
+        if (branch) {
+            return { [keys[0]]: wrapUnionValues(branch, value[keys[0]]) };
+        }
+    }
+    for (const branch of branches) {
+        const name = getBranchName(branch);
+        if (name !== 'null') {
+            const wrappedValue = wrapUnionValues(branch, value);
+            if (branch.isValid(wrappedValue)) {
+                return { [name]: wrappedValue };
+            }
+        }
+    }
+    return value;
+}
+
+/**
+ * Returns the name that identifies a branch in an Avro union
+ * @param {Object} type Avro type of the branch
+ * @returns {string} full name of a named type or name of the type (e.g. 'string', 'array')
+ * @private
+ */
+function getBranchName(type) {
+    return type.getName() ?? type.getName(true);
+}
+
+/**
+ * Checks whether a value is a plain object (not an array, a buffer, a date or a primitive)
+ * @param {any} value value to check
+ * @returns {boolean} true if the value is a plain object
+ * @private
+ */
+function isPlainObject(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        !Buffer.isBuffer(value) &&
+        !(value instanceof Date)
+    );
+}
+
+/**
+ * Returns a short description of an Avro type for error reporting.
+ * @param {Object} type Avro type
+ * @returns {string} name of a named type, name of a primitive type or branches of a union separated by pipes
+ * @private
+ */
+function describeAvroType(type) {
+    const name = type.getName();
+    if (name) {
+        return name;
+    }
+    const schema = JSON.parse(type.toString());
+    if (Array.isArray(schema)) {
+        return schema
+            .map((branch) =>
+                typeof branch === 'string' ? branch : branch.name ?? branch.type
+            )
+            .join(' | ');
+    }
+    return typeof schema === 'string' ? schema : schema.type;
+}
@@ -4,78 +4,146 @@ import fs from 'fs';
 const AUTH_USER_SUPPLIED = 'user-supplied',
     AUTH_USERNAME_PASSWORD = 'username-password',
     AUTH_OAUTH_CLIENT_CREDENTIALS = 'oauth-client-credentials',
-    AUTH_OAUTH_JWT_BEARER = 'oauth-jwt-bearer';
+    AUTH_OAUTH_JWT_BEARER = 'oauth-jwt-bearer',
+    AUTH_OAUTH_REFRESH_TOKEN = 'oauth-refresh-token';
+
+const LONG_CONVERSIONS = ['number', 'bigint', 'string'];
+
+/**
+ * Hosts of the local machine that insecure connections are allowed to
+ * @private
+ */
+const LOOPBACK_HOST = /^(localhost|127(\.\d{1,3}){3}|::1)$/i;
+
+/**
+ * Environment variables used as a fallback for configuration keys that are not supplied
+ * @private
+ */
+const ENV_VARS = {
+    authType: 'SALESFORCE_AUTH_TYPE',
+    loginUrl: 'SALESFORCE_LOGIN_URL',
+    username: 'SALESFORCE_USERNAME',
+    password: 'SALESFORCE_PASSWORD',
+    userToken: 'SALESFORCE_TOKEN',
+    clientId: 'SALESFORCE_CLIENT_ID',
+    clientSecret: 'SALESFORCE_CLIENT_SECRET',
+    refreshToken: 'SALESFORCE_REFRESH_TOKEN',
+    privateKeyFile: 'SALESFORCE_PRIVATE_KEY_FILE',
+    pubSubEndpoint: 'PUB_SUB_ENDPOINT',
+    rootCertFile: 'PUB_SUB_ROOT_CERT_FILE',
+    clientCertFile: 'PUB_SUB_CLIENT_CERT_FILE',
+    clientKeyFile: 'PUB_SUB_CLIENT_KEY_FILE'
+};
+
+/**
+ * @typedef {Object} ClientConfiguration
+ * @property {string} [authType] authentication type: `user-supplied`, `username-password`,
+ * `oauth-client-credentials`, `oauth-jwt-bearer` or `oauth-refresh-token`. Defaults to `SALESFORCE_AUTH_TYPE`.
+ * @property {string} [pubSubEndpoint] Pub/Sub API endpoint (`host:port`). Defaults to `PUB_SUB_ENDPOINT`.
+ * @property {string} [loginUrl] Salesforce login URL. Defaults to `SALESFORCE_LOGIN_URL`.
+ * @property {string} [username] Salesforce username. Defaults to `SALESFORCE_USERNAME`.
+ * @property {string} [password] Salesforce password. Defaults to `SALESFORCE_PASSWORD`.
+ * @property {string} [userToken] Salesforce user security token. Defaults to `SALESFORCE_TOKEN`.
+ * @property {string} [clientId] connected app client ID. Defaults to `SALESFORCE_CLIENT_ID`.
+ * @property {string} [clientSecret] connected app client secret. Defaults to `SALESFORCE_CLIENT_SECRET`.
+ * @property {string} [refreshToken] OAuth refresh token obtained with the web server flow. Defaults to `SALESFORCE_REFRESH_TOKEN`.
+ * @property {function(string):void|Promise<void>} [onRefreshTokenRotated] callback that receives the new refresh token
+ * when refresh token rotation is enabled so that it can be persisted. The previous refresh token no longer works.
+ * @property {string} [privateKey] PEM-encoded private key for the JWT bearer flow. Takes precedence over `privateKeyFile`.
+ * @property {string} [privateKeyFile] path to the private key file for the JWT bearer flow.
+ * Defaults to `SALESFORCE_PRIVATE_KEY_FILE`.
+ * @property {boolean} [insecure] when true, connects to the Pub/Sub API over a plaintext channel without TLS.
+ * Only allowed with a loopback endpoint such as a local stand-in or the mock server. Defaults to `PUB_SUB_INSECURE`.
+ * @property {string|Buffer} [rootCert] PEM-encoded root certificates used to verify the server certificate,
+ * for instance when connecting through a TLS proxy with a private CA. Defaults to the content of
+ * `PUB_SUB_ROOT_CERT_FILE` or to the Mozilla CA bundle.
+ * @property {string|Buffer} [clientCert] PEM-encoded client certificate chain for mutual TLS. Requires `clientKey`.
+ * Defaults to the content of `PUB_SUB_CLIENT_CERT_FILE`.
+ * @property {string|Buffer} [clientKey] PEM-encoded client private key for mutual TLS. Requires `clientCert`.
+ * Defaults to the content of `PUB_SUB_CLIENT_KEY_FILE`.
+ * @property {Object<string,string|number>} [channelOptions] gRPC channel options such as `grpc.keepalive_time_ms`,
+ * `grpc.max_receive_message_length` or `grpc.enable_http_proxy`.
+ * @property {number} [schemaCacheTtl] time in milliseconds after which the current schema ID of a topic is fetched again.
+ * Defaults to caching for the lifetime of the client.
+ * @property {TypeConversions} [conversions] optional conversions of datetime, date and long values in received events.
+ * The inverse conversions are applied when publishing.
+ * @global
+ */
 
 export default class Configuration {
-    static load() {
+    /**
+     * Configuration values merged with environment variables
+     * @type {ClientConfiguration}
+     */
+    #config;
+
+    /**
+     * Builds and validates a client configuration.
+     * Keys that are not supplied are read from environment variables (including those declared in a .env file).
+     * @param {ClientConfiguration} [config] client configuration
+     */
+    constructor(config = {}) {
         // Load config from .env file
         dotenv.config();
-        // Check mandatory variables
-        Configuration.#checkMandatoryVariables([
-            'SALESFORCE_AUTH_TYPE',
-            'PUB_SUB_ENDPOINT'
-        ]);
-        // Check variable for specific auth types
-        if (Configuration.isUsernamePasswordAuth()) {
-            Configuration.#checkMandatoryVariables([
-                'SALESFORCE_LOGIN_URL',
-                'SALESFORCE_USERNAME',
-                'SALESFORCE_PASSWORD'
-            ]);
-        } else if (Configuration.isOAuthClientCredentialsAuth()) {
-            Configuration.#checkMandatoryVariables([
-                'SALESFORCE_LOGIN_URL',
-                'SALESFORCE_CLIENT_ID',
-                'SALESFORCE_CLIENT_SECRET'
-            ]);
-        } else if (Configuration.isOAuthJwtBearerAuth()) {
-            Configuration.#checkMandatoryVariables([
-                'SALESFORCE_LOGIN_URL',
-                'SALESFORCE_CLIENT_ID',
-                'SALESFORCE_USERNAME',
-                'SALESFORCE_PRIVATE_KEY_FILE'
-            ]);
-            Configuration.getSfPrivateKey();
-        } else if (!Configuration.isUserSuppliedAuth()) {
-            throw new Error(
-                `Invalid value for SALESFORCE_AUTH_TYPE environment variable: ${Configuration.getAuthType()}`
-            );
-        }
+        this.#config = { ...config };
+        Object.entries(ENV_VARS).forEach(([key, varName]) => {
+            this.#config[key] ??= process.env[varName];
+        });
+        this.#config.insecure ??= process.env.PUB_SUB_INSECURE === 'true';
+        this.#config.channelOptions = { ...config.channelOptions };
+        this.#config.conversions = { ...config.conversions };
+        this.#validate();
     }
 
-    static getAuthType() {
-        return process.env.SALESFORCE_AUTH_TYPE;
+    getAuthType() {
+        return this.#config.authType;
     }
 
-    static getSfLoginUrl() {
-        return process.env.SALESFORCE_LOGIN_URL;
+    getSfLoginUrl() {
+        return this.#config.loginUrl;
     }
 
-    static getSfUsername() {
-        return process.env.SALESFORCE_USERNAME;
+    getSfUsername() {
+        return this.#config.username;
     }
 
-    static getSfSecuredPassword() {
-        if (process.env.SALESFORCE_TOKEN) {
-            return (
-                process.env.SALESFORCE_PASSWORD + process.env.SALESFORCE_TOKEN
-            );
+    getSfSecuredPassword() {
+        if (this.#config.userToken) {
+            return this.#config.password + this.#config.userToken;
         }
-        return process.env.SALESFORCE_PASSWORD;
+        return this.#config.password;
+    }
+
+    getSfClientId() {
+        return this.#config.clientId;
+    }
+
+    getSfClientSecret() {
+        return this.#config.clientSecret;
+    }
+
+    getSfRefreshToken() {
+        return this.#config.refreshToken;
     }
 
-    static getSfClientId() {
-        return process.env.SALESFORCE_CLIENT_ID;
+    /**
+     * Replaces the refresh token when Salesforce rotates it
+     * @param {string} refreshToken new refresh token
+     */
+    setSfRefreshToken(refreshToken) {
+        this.#config.refreshToken = refreshToken;
     }
 
-    static getSfClientSecret() {
-        return process.env.SALESFORCE_CLIENT_SECRET;
+    getRefreshTokenRotatedCallback() {
+        return this.#config.onRefreshTokenRotated;
     }
 
-    static getSfPrivateKey() {
+    getSfPrivateKey() {
+        if (this.#config.privateKey) {
+            return this.#config.privateKey;
+        }
         try {
-            const keyPath = process.env.SALESFORCE_PRIVATE_KEY_FILE;
-            return fs.readFileSync(keyPath, 'utf8');
+            return fs.readFileSync(this.#config.privateKeyFile, 'utf8');
         } catch (error) {
             throw new Error('Failed to load private key file', {
                 cause: error
@@ -83,31 +151,180 @@ export default class Configuration {
         }
     }
 
-    static getPubSubEndpoint() {
-        return process.env.PUB_SUB_ENDPOINT;
+    getPubSubEndpoint() {
+        return this.#config.pubSubEndpoint;
+    }
+
+    isPubSubInsecure() {
+        return this.#config.insecure === true;
+    }
+
+    getPubSubRootCert() {
+        return (
+            this.#config.rootCert ??
+            Configuration.#readOptionalFile(
+                this.#config.rootCertFile,
+                'root certificate'
+            )
+        );
+    }
+
+    getPubSubClientCert() {
+        return (
+            this.#config.clientCert ??
+            Configuration.#readOptionalFile(
+                this.#config.clientCertFile,
+                'client certificate'
+            )
+        );
+    }
+
+    getPubSubClientKey() {
+        return (
+            this.#config.clientKey ??
+            Configuration.#readOptionalFile(
+                this.#config.clientKeyFile,
+                'client private key'
+            )
+        );
+    }
+
+    getChannelOptions() {
+        return this.#config.channelOptions;
+    }
+
+    getSchemaCacheTtl() {
+        return this.#config.schemaCacheTtl ?? Infinity;
+    }
+
+    getConversions() {
+        return this.#config.conversions;
+    }
+
+    isUserSuppliedAuth() {
+        return this.getAuthType() === AUTH_USER_SUPPLIED;
+    }
+
+    isUsernamePasswordAuth() {
+        return this.getAuthType() === AUTH_USERNAME_PASSWORD;
     }
 
-    static isUserSuppliedAuth() {
-        return Configuration.getAuthType() === AUTH_USER_SUPPLIED;
+    isOAuthClientCredentialsAuth() {
+        return this.getAuthType() === AUTH_OAUTH_CLIENT_CREDENTIALS;
     }
 
-    static isUsernamePasswordAuth() {
-        return Configuration.getAuthType() === AUTH_USERNAME_PASSWORD;
+    isOAuthJwtBearerAuth() {
+        return this.getAuthType() === AUTH_OAUTH_JWT_BEARER;
     }
 
-    static isOAuthClientCredentialsAuth() {
-        return Configuration.getAuthType() === AUTH_OAUTH_CLIENT_CREDENTIALS;
+    isOAuthRefreshTokenAuth() {
+        return this.getAuthType() === AUTH_OAUTH_REFRESH_TOKEN;
     }
 
-    static isOAuthJwtBearerAuth() {
-        return Configuration.getAuthType() === AUTH_OAUTH_JWT_BEARER;
+    #validate() {
+        // Check mandatory variables
+        this.#checkMandatoryKeys(['authType', 'pubSubEndpoint']);
+        // Check variable for specific auth types
+        if (this.isUsernamePasswordAuth()) {
+            this.#checkMandatoryKeys(['loginUrl', 'username', 'password']);
+        } else if (this.isOAuthClientCredentialsAuth()) {
+            this.#checkMandatoryKeys(['loginUrl', 'clientId', 'clientSecret']);
+        } else if (this.isOAuthJwtBearerAuth()) {
+            this.#checkMandatoryKeys(['loginUrl', 'clientId', 'username']);
+            if (!this.#config.privateKey) {
+                this.#checkMandatoryKeys(['privateKeyFile']);
+            }
+            this.getSfPrivateKey();
+        } else if (this.isOAuthRefreshTokenAuth()) {
+            this.#checkMandatoryKeys(['loginUrl', 'clientId', 'refreshToken']);
+        } else if (!this.isUserSuppliedAuth()) {
+            throw new Error(
+                `Invalid value for authType configuration (${
+                    ENV_VARS.authType
+                } environment variable): ${this.getAuthType()}`
+            );
+        }
+        if (
+            this.#config.onRefreshTokenRotated !== undefined &&
+            typeof this.#config.onRefreshTokenRotated !== 'function'
+        ) {
+            throw new Error(
+                'Invalid value for onRefreshTokenRotated configuration: expected a function'
+            );
+        }
+        if (
+            this.#config.schemaCacheTtl !== undefined &&
+            !(this.#config.schemaCacheTtl >= 0)
+        ) {
+            throw new Error(
+                `Invalid value for schemaCacheTtl configuration: ${this.#config.schemaCacheTtl}`
+            );
+        }
+        const { longs } = this.#config.conversions;
+        if (longs !== undefined && !LONG_CONVERSIONS.includes(longs)) {
+            throw new Error(
+                `Invalid value for conversions.longs configuration: ${longs}`
+            );
+        }
+        // Check channel security variables
+        const rootCert = this.getPubSubRootCert();
+        const clientCert = this.getPubSubClientCert();
+        const clientKey = this.getPubSubClientKey();
+        if (Boolean(clientCert) !== Boolean(clientKey)) {
+            throw new Error(
+                'A client certificate and a client key must be supplied together for mutual TLS'
+            );
+        }
+        if (this.isPubSubInsecure() && (rootCert || clientCert || clientKey)) {
+            throw new Error(
+                'Certificates cannot be supplied for an insecure connection'
+            );
+        }
+        // Never send access tokens in plaintext over the network
+        if (
+            this.isPubSubInsecure() &&
+            !LOOPBACK_HOST.test(getEndpointHost(this.getPubSubEndpoint()))
+        ) {
+            throw new Error(
+                `Insecure connections are only allowed to a loopback endpoint (localhost, 127.0.0.1 or [::1]), got: ${this.getPubSubEndpoint()}`
+            );
+        }
     }
 
-    static #checkMandatoryVariables(varNames) {
-        varNames.forEach((varName) => {
-            if (!process.env[varName]) {
-                throw new Error(`Missing ${varName} environment variable`);
+    #checkMandatoryKeys(keys) {
+        keys.forEach((key) => {
+            if (!this.#config[key]) {
+                throw new Error(
+                    `Missing ${key} configuration (${ENV_VARS[key]} environment variable)`
+                );
             }
         });
     }
+
+    static #readOptionalFile(filePath, description) {
+        if (!filePath) {
+            return undefined;
+        }
+        try {
+            return fs.readFileSync(filePath);
+        } catch (error) {
+            throw new Error(`Failed to load ${description} file`, {
+                cause: error
+            });
+        }
+    }
+}
+
+/**
+ * Extracts the host of a Pub/Sub API endpoint
+ * @param {string} endpoint endpoint in the `host:port` format. IPv6 hosts are enclosed in brackets.
+ * @returns {string} host of the endpoint
+ * @private
+ */
+function getEndpointHost(endpoint) {
+    const ipv6Host = /^\[([^\]]+)\]/.exec(endpoint);
+    if (ipv6Host) {
+        return ipv6Host[1];
+    }
+    return endpoint.replace(/:\d+$/, '');
 }
@@ -0,0 +1,80 @@
+/**
+ * @typedef {Object} EventFilter
+ * @property {string|string[]} [entityName] API names of the entities of the Change Data Capture events that match
+ * @property {string|string[]} [changeType] change types of the Change Data Capture events that match (e.g. `CREATE`, `UPDATE`)
+ * @property {Object<string,any>} [payload] payload field values that match indexed by field path (e.g. `Name.FirstName`).
+ * Arrays list the values that are accepted for a field.
+ * @global
+ */
+
+/**
+ * @callback EventPredicate
+ * @param {Object} event parsed event
+ * @returns {boolean} true if the event matches
+ * @global
+ */
+
+/**
+ * Keys supported by declarative event filters
+ * @private
+ */
+const FILTER_KEYS = ['entityName', 'changeType', 'payload'];
+
+/**
+ * Builds a predicate from a predicate function or a declarative event filter
+ * @param {EventPredicate|EventFilter} filter predicate function or declarative event filter
+ * @returns {EventPredicate} predicate
+ * @protected
+ */
+export function createEventPredicate(filter) {
+    if (typeof filter === 'function') {
+        return filter;
+    }
+    if (filter === null || typeof filter !== 'object') {
+        throw new Error(
+            `Invalid event filter: expected a function or an object, got ${filter}`
+        );
+    }
+    Object.keys(filter).forEach((key) => {
+        if (!FILTER_KEYS.includes(key)) {
+            throw new Error(`Invalid event filter key: ${key}`);
+        }
+    });
+    const { entityName, changeType, payload = {} } = filter;
+    return (event) => {
+        const header = event.payload.ChangeEventHeader;
+        if (
+            entityName !== undefined &&
+            !matchesValue(header?.entityName, entityName)
+        ) {
+            return false;
+        }
+        if (
+            changeType !== undefined &&
+            !matchesValue(header?.changeType, changeType)
+        ) {
+            return false;
+        }
+        return Object.entries(payload).every(([fieldPath, expected]) =>
+            matchesValue(
+                fieldPath
+                    .split('.')
+                    .reduce((value, key) => value?.[key], event.payload),
+                expected
+            )
+        );
+    };
+}
+
+/**
+ * Checks whether a value matches an expected value or one of a list of expected values
+ * @param {any} value value to check
+ * @param {any} expected expected value or array of accepted values
+ * @returns {boolean} true if the value matches
+ * @private
+ */
+function matchesValue(value, expected) {
+    return Array.isArray(expected)
+        ? expected.includes(value)
+        : value === expected;
+}
@@ -1,10 +1,18 @@
 import avro from 'avro-js';
+import PublishError from '../publishError.js';
+import ChangeEvent from '../changeEvent.js';
+
+/**
+ * Change types of the events that hold all populated fields of a record
+ * @private
+ */
+const FULL_RECORD_CHANGE_TYPES = ['CREATE', 'UNDELETE'];
 
 /**
  * Parses the Avro encoded data of an event agains a schema
  * @param {*} schema Avro schema
  * @param {*} event Avro encoded data of the event
- * @returns {*} parsed event data
+ * @returns {*} parsed event data. Change Data Capture events also hold a ChangeEvent.
  * @protected
  */
 export function parseEvent(schema, event) {
@@ -41,10 +49,57 @@ export function parseEvent(schema, event) {
     // Eliminate intermediate types left by Avro in payload
     flattenSinglePropertyObjects(payload);
     // Return parsed data
-    return {
+    const parsedEvent = {
         replayId,
-        payload
+        payload,
+        headers: decodeEventHeaders(event.event.headers)
     };
+    if (payload.ChangeEventHeader) {
+        parsedEvent.changeEvent = new ChangeEvent(
+            payload.ChangeEventHeader,
+            getChangedFieldValues(allFields, payload)
+        );
+    }
+    return parsedEvent;
+}
+
+/**
+ * Encodes event headers for a ProducerEvent
+ * @param {Object<string,string|Buffer>} [headers] header values indexed by key
+ * @returns {Object[]} list of EventHeader with key and bytes value
+ * @protected
+ */
+export function encodeEventHeaders(headers) {
+    if (!headers) {
+        return [];
+    }
+    return Object.entries(headers).map(([key, value]) => {
+        if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+            throw new Error(
+                `Invalid value for event header ${key}: expected a string or a Buffer`
+            );
+        }
+        return {
+            key,
+            value: Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8')
+        };
+    });
+}
+
+/**
+ * Decodes the headers of a received event
+ * @param {Object[]} [headers] list of EventHeader with key and bytes value
+ * @returns {Object<string,string>} UTF-8 header values indexed by key
+ * @protected
+ */
+export function decodeEventHeaders(headers) {
+    const decodedHeaders = {};
+    if (headers) {
+        headers.forEach(({ key, value }) => {
+            decodedHeaders[key] = value ? value.toString('utf8') : '';
+        });
+    }
+    return decodedHeaders;
 }
 
 /**
@@ -69,6 +124,79 @@ function flattenSinglePropertyObjects(theObject) {
     });
 }
 
+/**
+ * Collects the new values of the fields that changed in a CDC event
+ * @param {Object[]} allFields list of Avro Field of the event
+ * @param {Object} payload flattened event payload with a parsed ChangeEventHeader
+ * @returns {Object<string,any>} field values indexed by field path. Nulled fields hold an explicit null.
+ * @private
+ */
+function getChangedFieldValues(allFields, payload) {
+    const header = payload.ChangeEventHeader;
+    const fieldPaths = FULL_RECORD_CHANGE_TYPES.includes(header.changeType)
+        ? getPopulatedFieldPaths(allFields, payload)
+        : header.changedFields;
+    const values = {};
+    getLeafFieldPaths(fieldPaths).forEach((fieldPath) => {
+        values[fieldPath] =
+            fieldPath
+                .split('.')
+                .reduce((value, key) => value?.[key], payload) ?? null;
+    });
+    getLeafFieldPaths(header.nulledFields).forEach((fieldPath) => {
+        values[fieldPath] = null;
+    });
+    return values;
+}
+
+/**
+ * Lists the paths of the fields that hold a value in a payload.
+ * Compound fields are resolved into the paths of their child fields.
+ * @param {Object[]} allFields list of Avro Field of the event
+ * @param {Object} payload flattened event payload
+ * @returns {string[]} field paths
+ * @private
+ */
+function getPopulatedFieldPaths(allFields, payload) {
+    const fieldPaths = [];
+    allFields.forEach((field) => {
+        const name = field.getName();
+        const value = payload[name];
+        if (
+            name === 'ChangeEventHeader' ||
+            value === null ||
+            value === undefined
+        ) {
+            return;
+        }
+        const childFields = getChildFields(field);
+        if (childFields.length === 0) {
+            fieldPaths.push(name);
+            return;
+        }
+        childFields.forEach((childField) => {
+            const childName = childField.getName();
+            if (value[childName] !== null && value[childName] !== undefined) {
+                fieldPaths.push(`${name}.${childName}`);
+            }
+        });
+    });
+    return fieldPaths;
+}
+
+/**
+ * Removes the paths of compound fields whose child fields are also listed
+ * @param {string[]} fieldPaths field paths
+ * @returns {string[]} field paths without parent paths
+ * @private
+ */
+function getLeafFieldPaths(fieldPaths) {
+    return fieldPaths.filter(
+        (fieldPath) =>
+            !fieldPaths.some((other) => other.startsWith(`${fieldPath}.`))
+    );
+}
+
 /**
  * Parses a bit map of modified fields
  * @param {Object[]} allFields
@@ -120,7 +248,10 @@ function parseFieldBitmaps(allFields, fieldBitmapsAsHex) {
  * @private
  */
 function getChildFields(parentField) {
-    const types = parentField._type.getTypes();
+    const types =
+        parentField._type instanceof avro.types.UnionType
+            ? parentField._type.getTypes()
+            : [parentField._type];
     let fields = [];
     types.forEach((type) => {
         if (type instanceof avro.types.RecordType) {
@@ -173,6 +304,31 @@ export function encodeReplayId(replayId) {
     return buf;
 }
 
+/**
+ * Converts a publish result from the Pub/Sub API into a PublishResult
+ * @param {Object} result raw publish result
+ * @returns {PublishResult} publish result with a decoded replay ID or a publish error
+ * @protected
+ */
+export function parsePublishResult(result) {
+    const { correlationKey } = result;
+    if (result.error) {
+        return {
+            replayId: undefined,
+            correlationKey,
+            error: new PublishError(
+                result.error.msg,
+                result.error.code,
+                correlationKey
+            )
+        };
+    }
+    return {
+        replayId: decodeReplayId(result.replayId),
+        correlationKey
+    };
+}
+
 /**
  * Converts a hexadecimal string into a string binary representation
  * @param {string} hex
@@ -0,0 +1,158 @@
+import jsforce from 'jsforce';
+
+/**
+ * Salesforce API version used to retrieve records
+ * @private
+ */
+const SF_API_VERSION = '60.0';
+
+/**
+ * Maximum number of records retrieved by a single SObject Collections request
+ * @private
+ */
+const MAX_RECORDS_PER_REQUEST = 2000;
+
+/**
+ * Format of the record IDs that can be retrieved (gap events may hold wildcards)
+ * @private
+ */
+const RECORD_ID_FORMAT = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+/**
+ * Retrieves the current state of the records of Change Data Capture gap events with the REST API.
+ * Record IDs requested at the same time are batched per entity.
+ * @protected
+ */
+export default class GapResolver {
+    /**
+     * Callback that returns the current connection metadata
+     * @type {function():import('./auth.js').ConnectionMetadata}
+     */
+    #getConMetadata;
+
+    /**
+     * Callback that obtains a new access token
+     * @type {function():Promise<void>}
+     */
+    #refreshAuth;
+
+    /**
+     * Salesforce REST connection
+     * @type {jsforce.Connection}
+     */
+    #connection;
+
+    /**
+     * Deferred record retrievals indexed by entity name then by record ID
+     * @type {Map<string,Map<string,{resolve: Function, reject: Function, promise: Promise<Object>}>>}
+     */
+    #pendingRecords;
+
+    /**
+     * Builds a new gap resolver
+     * @param {function():import('./auth.js').ConnectionMetadata} getConMetadata callback that returns the current connection metadata
+     * @param {function():Promise<void>} refreshAuth callback that obtains a new access token
+     */
+    constructor(getConMetadata, refreshAuth) {
+        this.#getConMetadata = getConMetadata;
+        this.#refreshAuth = refreshAuth;
+        this.#pendingRecords = new Map();
+    }
+
+    /**
+     * Retrieves the current state of the records of a gap event
+     * @param {ChangeEvent} changeEvent gap event
+     * @returns {Promise<Object[]>} Promise holding the records in the order of the record IDs of the event.
+     * Records that no longer exist and record IDs that aren't valid (such as wildcards) are null.
+     */
+    async resolve(changeEvent) {
+        const { entityName, recordIds } = changeEvent;
+        if (this.#pendingRecords.size === 0) {
+            setImmediate(() => this.#flush());
+        }
+        let entityRecords = this.#pendingRecords.get(entityName);
+        if (!entityRecords) {
+            entityRecords = new Map();
+            this.#pendingRecords.set(entityName, entityRecords);
+        }
+        return Promise.all(
+            recordIds.map((recordId) => {
+                if (!RECORD_ID_FORMAT.test(recordId)) {
+                    return null;
+                }
+                let deferred = entityRecords.get(recordId);
+                if (!deferred) {
+                    deferred = {};
+                    deferred.promise = new Promise((resolve, reject) => {
+                        deferred.resolve = resolve;
+                        deferred.reject = reject;
+                    });
+                    entityRecords.set(recordId, deferred);
+                }
+                return deferred.promise;
+            })
+        );
+    }
+
+    /**
+     * Retrieves the pending records with one request per entity and per chunk of record IDs
+     */
+    #flush() {
+        const pendingRecords = this.#pendingRecords;
+        this.#pendingRecords = new Map();
+        pendingRecords.forEach((entityRecords, entityName) => {
+            const recordIds = [...entityRecords.keys()];
+            for (
+                let i = 0;
+                i < recordIds.length;
+                i += MAX_RECORDS_PER_REQUEST
+            ) {
+                const chunk = recordIds.slice(i, i + MAX_RECORDS_PER_REQUEST);
+                this.#getConnection()
+                    .retrieve(entityName, chunk)
+                    .then((records) => {
+                        chunk.forEach((recordId, index) =>
+                            entityRecords
+                                .get(recordId)
+                                .resolve(records[index] ?? null)
+                        );
+                    })
+                    .catch((error) => {
+                        const retrieveError = new Error(
+                            `Failed to retrieve ${entityName} records`,
+                            { cause: error }
+                        );
+                        chunk.forEach((recordId) =>
+                            entityRecords.get(recordId).reject(retrieveError)
+                        );
+                    });
+            }
+        });
+    }
+
+    /**
+     * Returns the REST connection with the current access token.
+     * The connection is reused so that entity descriptions are cached.
+     * When the access token is rejected, jsforce obtains a new one through the client and retries the request.
+     * @returns {jsforce.Connection} REST connection
+     */
+    #getConnection() {
+        const { accessToken, instanceUrl } = this.#getConMetadata();
+        if (!this.#connection || this.#connection.instanceUrl !== instanceUrl) {
+            this.#connection = new jsforce.Connection({
+                instanceUrl,
+                accessToken,
+                version: SF_API_VERSION,
+                refreshFn: (_connection, callback) => {
+                    this.#refreshAuth()
+                        .then(() =>
+                            callback(null, this.#getConMetadata().accessToken)
+                        )
+                        .catch((error) => callback(error));
+                }
+            });
+        }
+        this.#connection.accessToken = accessToken;
+        return this.#connection;
+    }
+}
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { after, before, test } from 'node:test';
+
+import PubSubApiClient, { MockPubSubServer } from '../src/client.js';
+
+const TOPIC_NAME = '/event/Sample__e';
+const SCHEMA = {
+    type: 'record',
+    name: 'Sample__e',
+    fields: [
+        { name: 'CreatedDate', type: 'long' },
+        { name: 'Message__c', type: ['null', 'string'], default: null }
+    ]
+};
+
+const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+let server;
+let client;
+
+before(async () => {
+    server = new MockPubSubServer({ keepAliveInterval: 1000 });
+    const endpoint = await server.start();
+    server.registerTopic(TOPIC_NAME, SCHEMA);
+
+    client = new PubSubApiClient(
+        {
+            authType: 'user-supplied',
+            pubSubEndpoint: endpoint,
+            insecure: true
+        },
+        silentLogger
+    );
+    await client.connectWithAuth(
+        'fakeToken',
+        'https://example.my.salesforce.com',
+        '00D000000000000AAA'
+    );
+});
+
+after(async () => {
+    client.close();
+    await server.stop();
+});
+
+test('delivers an injected event to a subscriber', async () => {
+    const eventEmitter = await client.subscribe(TOPIC_NAME, 1);
+    eventEmitter.on('error', () => {});
+    const received = new Promise((resolve) => {
+        eventEmitter.once('data', resolve);
+    });
+
+    await server.waitForSubscriber(TOPIC_NAME);
+    const replayId = server.injectEvent(TOPIC_NAME, {
+        CreatedDate: Date.now(),
+        Message__c: 'Hello'
+    });
+
+    const event = await received;
+    eventEmitter.cancel();
+    assert.equal(event.replayId, replayId);
+    assert.equal(event.payload.Message__c, 'Hello');
+});
+
+test('publishes an event to a topic', async () => {
+    const result = await client.publish(TOPIC_NAME, {
+        CreatedDate: Date.now(),
+        Message__c: 'Published'
+    });
+
+    const storedEvent = server
+        .getEvents(TOPIC_NAME)
+        .find((event) => event.replayId === result.replayId);
+    assert.ok(storedEvent);
+    assert.equal(storedEvent.payload.Message__c.string, 'Published');
+});
+
+test('injects events with plain or wrapped union values', () => {
+    const plainReplayId = server.injectEvent(TOPIC_NAME, {
+        CreatedDate: Date.now(),
+        Message__c: 'Plain'
+    });
+    const wrappedReplayId = server.injectEvent(TOPIC_NAME, {
+        CreatedDate: Date.now(),
+        Message__c: { string: 'Wrapped' }
+    });
+
+    const events = server.getEvents(TOPIC_NAME);
+    const messages = [plainReplayId, wrappedReplayId].map(
+        (replayId) =>
+            events.find((event) => event.replayId === replayId).payload
+                .Message__c.string
+    );
+    assert.deepEqual(messages, ['Plain', 'Wrapped']);
+});
+
+test(
+    'switches a publish stream to the latest topic schema',
+    { timeout: 5000 },
+    async () => {
+        const topicName = '/event/Evolving__e';
+        server.registerTopic(topicName, SCHEMA);
+        const publisher = await client.createPublishStream(topicName);
+        const newSchemaId = server.registerTopic(topicName, {
+            ...SCHEMA,
+            fields: [
+                ...SCHEMA.fields,
+                { name: 'Priority__c', type: ['null', 'int'], default: null }
+            ]
+        });
+
+        const schemaChange = once(publisher, 'schemachange');
+        await publisher.write({ CreatedDate: Date.now(), Message__c: 'Old' });
+        assert.equal((await schemaChange)[0], newSchemaId);
+        // Let the client load the new schema
+        while (publisher.getSchemaId() !== newSchemaId) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        const result = await publisher.write({
+            CreatedDate: Date.now(),
+            Message__c: 'New',
+            Priority__c: 1
+        });
+        await publisher.close();
+        const storedEvent = server
+            .getEvents(topicName)
+            .find((event) => event.replayId === result.replayId);
+        assert.equal(storedEvent.schemaId, newSchemaId);
+        assert.equal(storedEvent.payload.Priority__c.int, 1);
+    }
+);